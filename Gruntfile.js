@@ -14,7 +14,9 @@ module.exports = function (grunt) {
 			dist: {
 				src: [
 					'src/js/lib/hbs.js',
-					'src/js/lib/underscore.js'
+					'src/js/lib/plugins.js',
+					'src/js/lib/underscore.js',
+					'src/js/lib/ChartNew.js'
 				],
 				dest: 'build/js/lib/libs.js'
 			}
@@ -31,6 +33,14 @@ module.exports = function (grunt) {
 			}
 		},
 		copy: {
+			data: {
+				files: [{
+					expand: true,
+					cwd: 'src/data/',
+					src: ['**'],
+					dest: 'build/data/'
+				}]
+			},
 			html: {
 				files: [{
 					expand: true,
@@ -74,6 +84,11 @@ module.exports = function (grunt) {
 				],
 				options: { livereload: true }
 			},
+			data: {
+				files: ['src/data/**/*.json'],
+				tasks: ['copy:data'],
+				options: { livereload: true }
+			},
 			img: {
 				files: ['src/**/*.{jpg|png}'],
 				tasks: [
@@ -90,6 +105,14 @@ module.exports = function (grunt) {
 					compress: true
 				}
 			}
+		},
+		mochaTest: {
+			test: {
+				options: {
+					reporter: 'spec'
+				},
+				src: ['test/**/*.spec.js']
+			}
 		}
 	});
 
@@ -99,8 +122,12 @@ module.exports = function (grunt) {
 	grunt.loadNpmTasks('grunt-contrib-copy');
 	grunt.loadNpmTasks('grunt-contrib-less');
 	grunt.loadNpmTasks('grunt-contrib-watch');
+	grunt.loadNpmTasks('grunt-mocha-test');
 
 	// Default task
 	grunt.registerTask('default', ['less', 'concat', 'copy']);
+
+	// Runs the specs in test/ against a jsdom DOM, no browser needed
+	grunt.registerTask('test', ['mochaTest']);
 };
 
@@ -0,0 +1,420 @@
+HBS.define('HAN.challenge', ['HBS'], function(HBS) {
+	/**
+	 * @exports HAN.challenge
+	 * @desc The Fitbit Challenge data layer. load() fetches a month's challenge from the JSON endpoint
+	 * and builds Challenge, Team, Participant and DailySteps models from it, with totals, averages and
+	 * ranks worked out once up front so templates can read them as plain properties.
+	 *
+	 * The endpoint serves one file per challenge, named by the challenge's id (2013-10.json), plus an
+	 * index.json listing every challenge. During development the Grunt connect server serves them from
+	 * build/data/challenges/.
+	 */
+	var module = {};
+
+	var log = HBS.logger('HAN.challenge');
+
+	/**
+	 * Promises of loaded challenges, keyed by id, so each file is only requested once.
+	 * @private
+	 */
+	var cache = {};
+
+	HBS.declareConfig('HAN.challenge', {
+		endpoint: {type: 'string'}
+	}, {
+		endpoint: 'data/challenges/'
+	});
+
+	/**
+	 * @class DailySteps
+	 * @memberof HAN.challenge
+	 * @desc One participant's step count for one day.
+	 * @param {Date} date
+	 * @param {Number} steps
+	 */
+	module.DailySteps = HBS.Class.extend({
+		init: function(date, steps) {
+			this.date = date;
+			this.steps = steps;
+		}
+	});
+
+	/**
+	 * @class Participant
+	 * @memberof HAN.challenge
+	 * @desc Someone taking part in a challenge.
+	 * <ul>
+	 * <li><b>days</b>: DailySteps for each day of the challenge, in date order</li>
+	 * <li><b>totalSteps</b>: steps over the whole challenge</li>
+	 * <li><b>averageSteps</b>: steps per day, rounded</li>
+	 * <li><b>streak</b>: the most days in a row the participant reached the challenge's daily goal</li>
+	 * <li><b>rank</b>: position among every participant by total steps, set by the Challenge</li>
+	 * <li><b>team</b>: the participant's Team, set by the Challenge</li>
+	 * </ul>
+	 * @param {Object} data The participant's entry from the endpoint: {id, name, team, steps}
+	 * @param {Date} start The first day of the challenge, which steps[0] belongs to
+	 * @param {Number} goal The daily step goal
+	 */
+	module.Participant = HBS.Class.extend({
+		init: function(data, start, goal) {
+			this.id = data.id;
+			this.name = data.name;
+			this.team = null;
+			this.rank = null;
+			this.days = $.map(data.steps || [], function(steps, i) {
+				return new module.DailySteps(addDays(start, i), steps);
+			});
+			this.totalSteps = sum(this.days, 'steps');
+			this.averageSteps = average(this.totalSteps, this.days.length);
+			this.streak = longestStreak(this.days, goal);
+		},
+
+		/**
+		 * @param {Date} date
+		 * @returns {Number|undefined} The participant's steps that day, or undefined outside the challenge
+		 */
+		stepsOn: function(date) {
+			for (var i = 0; i < this.days.length; i++) {
+				if (sameDay(this.days[i].date, date)) {
+					return this.days[i].steps;
+				}
+			}
+		}
+	});
+
+	/**
+	 * @class Team
+	 * @memberof HAN.challenge
+	 * @desc A team in a challenge.
+	 * <ul>
+	 * <li><b>participants</b>: the team's members, by rank within the team</li>
+	 * <li><b>totalSteps</b>: the members' steps added together</li>
+	 * <li><b>averageSteps</b>: total steps per member, rounded. Teams are ranked by this, so a bigger
+	 * team doesn't win just by being bigger.</li>
+	 * <li><b>streak</b>: the longest streak of any member</li>
+	 * <li><b>rank</b>: position among the challenge's teams, set by the Challenge</li>
+	 * </ul>
+	 * @param {Object} data The team's entry from the endpoint: {id, name, motto, photo}. motto and
+	 * photo, the URL of a team photo, are optional.
+	 * @param {Array} participants The team's Participants
+	 */
+	module.Team = HBS.Class.extend({
+		init: function(data, participants) {
+			this.id = data.id;
+			this.name = data.name;
+			this.motto = data.motto || '';
+			this.photo = data.photo || null;
+			this.rank = null;
+			this.participants = sortByRank(participants);
+			this.totalSteps = sum(participants, 'totalSteps');
+			this.averageSteps = average(this.totalSteps, participants.length);
+			this.streak = Math.max.apply(Math, [0].concat($.map(participants, function(participant) {
+				return participant.streak;
+			})));
+		}
+	});
+
+	/**
+	 * @class Challenge
+	 * @memberof HAN.challenge
+	 * @desc A month's challenge. <b>teams</b> and <b>participants</b> are sorted by rank. Equal scores
+	 * share a rank and the next rank is skipped, so two teams tied for first are followed by third.
+	 * @param {Object} data The endpoint's JSON: {id, name, start, end, goal, trophy, teams, participants}.
+	 * Dates are YYYY-MM-DD and each participant's steps array starts on the start date. goal is the daily
+	 * step goal streaks count towards, 10,000 if left out. trophy is the URL of the trophy image, if any.
+	 */
+	module.Challenge = HBS.Class.extend({
+		init: function(data) {
+			var members = {},
+				participants,
+				teams;
+
+			this.id = data.id;
+			this.name = data.name;
+			this.start = parseDate(data.start);
+			this.end = parseDate(data.end);
+			this.goal = data.goal || 10000;
+			this.trophy = data.trophy || null;
+
+			participants = $.map(data.participants || [], $.proxy(function(entry) {
+				var participant = new module.Participant(entry, this.start, this.goal);
+
+				members[entry.team] = (members[entry.team] || []).concat(participant);
+				return participant;
+			}, this));
+			setRanks(participants, 'totalSteps');
+
+			teams = $.map(data.teams || [], function(entry) {
+				var team = new module.Team(entry, members[entry.id] || []);
+
+				$.each(team.participants, function(i, participant) {
+					participant.team = team;
+				});
+				delete members[entry.id];
+				return team;
+			});
+			setRanks(teams, 'averageSteps');
+
+			for (var id in members) {
+				if (members.hasOwnProperty(id)) {
+					log.warn("Challenge " + this.id + " has participants in unknown team " + id);
+				}
+			}
+
+			this.participants = sortByRank(participants);
+			this.teams = sortByRank(teams);
+			this.totalSteps = sum(participants, 'totalSteps');
+			this.averageSteps = average(this.totalSteps, participants.length);
+		},
+
+		/**
+		 * @param {String} id
+		 * @returns {HAN.challenge.Team|undefined}
+		 */
+		getTeam: function(id) {
+			return findById(this.teams, id);
+		},
+
+		/**
+		 * @param {String} id
+		 * @returns {HAN.challenge.Participant|undefined}
+		 */
+		getParticipant: function(id) {
+			return findById(this.participants, id);
+		},
+
+		/**
+		 * @returns {Array} The first-ranked teams; more than one if they tied
+		 */
+		winners: function() {
+			return $.grep(this.teams, function(team) {
+				return team.rank === 1;
+			});
+		}
+	});
+
+	/**
+	 * Loads a challenge from the endpoint. Triggers "challenge:loaded" on HBS.events with the Challenge.
+	 * @example
+	 * HAN.challenge.load('2013-10').done(function(challenge) {
+	 *     console.log(challenge.winners()[0].name);
+	 * });
+	 * @param {String} id The challenge's id, e.g. 2013-10
+	 * @param {Object} [options]
+	 * @param {Boolean} [options.reload=false] Fetch the challenge again even if it has already loaded,
+	 * for standings that change during the month
+	 * @returns {Promise} A jQuery promise resolved with the Challenge, or rejected with an Error
+	 */
+	module.load = function(id, options) {
+		var loading;
+
+		if (!cache[id] || (options && options.reload)) {
+			loading = cache[id] = request(id + '.json').then(function(data) {
+				var challenge = new module.Challenge(data);
+
+				HBS.events.trigger('challenge:loaded', challenge);
+				return challenge;
+			});
+			loading.fail(function() {
+				if (cache[id] === loading) {
+					delete cache[id];
+				}
+			});
+		}
+
+		return cache[id];
+	};
+
+	/**
+	 * Loads the list of challenges, most recent first.
+	 * @returns {Promise} A jQuery promise resolved with an array of {id, name, start, end}, with the
+	 * dates parsed, or rejected with an Error
+	 */
+	module.list = function() {
+		return request('index.json').then(function(entries) {
+			return $.map(entries, function(entry) {
+				return $.extend({}, entry, {
+					start: parseDate(entry.start),
+					end: parseDate(entry.end)
+				});
+			}).sort(function(a, b) {
+				return b.start - a.start;
+			});
+		});
+	};
+
+	/**
+	 * Forgets loaded challenges, so the next load() fetches them again.
+	 */
+	module.clearCache = function() {
+		cache = {};
+	};
+
+	/**
+	 * Ranks items by a score, highest first. Equal scores share a rank and the next rank is skipped,
+	 * so scores of 9, 7, 7 and 5 are ranked 1, 2, 2 and 4.
+	 * @example
+	 * HAN.challenge.rank(challenge.participants, 'streak');
+	 * @param {Array} items
+	 * @param {String|Function} score The property to rank by, or a function returning an item's score
+	 * @returns {Array} {item, rank} records in rank order. Items with the same score keep their order.
+	 */
+	module.rank = function(items, score) {
+		var value = (typeof(score) === 'function') ? score : function(item) {
+				return item[score];
+			},
+			records = $.map(items, function(item, i) {
+				return {item: item, score: value(item), index: i};
+			});
+
+		records.sort(function(a, b) {
+			return (b.score - a.score) || (a.index - b.index);
+		});
+
+		return $.map(records, function(record, i) {
+			var previous = records[i - 1];
+
+			record.rank = (previous && previous.score === record.score) ? previous.rank : i + 1;
+			return {item: record.item, rank: record.rank};
+		});
+	};
+
+	/**
+	 * Fetches a JSON file from the endpoint.
+	 * @private
+	 * @param {String} file
+	 * @returns {Promise} A jQuery promise resolved with the parsed JSON, or rejected with an Error
+	 */
+	function request(file) {
+		var url = HBS.config('HAN.challenge').endpoint + file;
+
+		return $.ajax({
+			url: url,
+			dataType: 'json'
+		}).then(null, function(xhr, status, error) {
+			var failure = new Error("HAN.challenge: Unable to load " + url + " (" + (error || status) + ")");
+
+			log.error(failure.message);
+			return $.Deferred().reject(failure).promise();
+		});
+	}
+
+	/**
+	 * Sets <b>rank</b> on each item, as ranked by rank().
+	 * @private
+	 * @param {Array} items
+	 * @param {String} property
+	 */
+	function setRanks(items, property) {
+		$.each(module.rank(items, property), function(i, record) {
+			record.item.rank = record.rank;
+		});
+	}
+
+	/**
+	 * @private
+	 * @param {Array} items
+	 * @returns {Array} A copy of items sorted by rank, keeping the original order for ties and unranked items
+	 */
+	function sortByRank(items) {
+		var entries = $.map(items, function(item, i) {
+			return {item: item, index: i};
+		});
+
+		entries.sort(function(a, b) {
+			return ((a.item.rank || Infinity) - (b.item.rank || Infinity)) || (a.index - b.index);
+		});
+		return $.map(entries, function(entry) {
+			return entry.item;
+		});
+	}
+
+	/**
+	 * @private
+	 * @param {Array} items
+	 * @param {String} property
+	 * @returns {Number} The total of each item's <b>property</b>
+	 */
+	function sum(items, property) {
+		var total = 0;
+
+		for (var i = 0; i < items.length; i++) {
+			total += items[i][property] || 0;
+		}
+		return total;
+	}
+
+	/**
+	 * @private
+	 * @param {Number} total
+	 * @param {Number} count
+	 * @returns {Number} total / count rounded to a whole number, or 0 when there is nothing to count
+	 */
+	function average(total, count) {
+		return count ? Math.round(total / count) : 0;
+	}
+
+	/**
+	 * @private
+	 * @param {Array} days DailySteps in date order
+	 * @param {Number} goal
+	 * @returns {Number} The most days in a row with at least <b>goal</b> steps
+	 */
+	function longestStreak(days, goal) {
+		var longest = 0,
+			current = 0;
+
+		for (var i = 0; i < days.length; i++) {
+			current = (days[i].steps >= goal) ? current + 1 : 0;
+			longest = Math.max(longest, current);
+		}
+		return longest;
+	}
+
+	/**
+	 * @private
+	 * @param {Array} items
+	 * @param {String} id
+	 * @returns {Object|undefined} The item with that id
+	 */
+	function findById(items, id) {
+		for (var i = 0; i < items.length; i++) {
+			if (items[i].id === id) {
+				return items[i];
+			}
+		}
+	}
+
+	/**
+	 * Parses a YYYY-MM-DD date as local midnight. new Date('2013-10-01') would be UTC midnight, which is
+	 * the previous day west of Greenwich.
+	 * @private
+	 * @param {String} value
+	 * @returns {Date}
+	 */
+	function parseDate(value) {
+		var parts = String(value).split('-');
+
+		return new Date(+parts[0], parts[1] - 1, +parts[2]);
+	}
+
+	/**
+	 * @private
+	 * @param {Date} date
+	 * @param {Number} days
+	 * @returns {Date} A new date <b>days</b> after <b>date</b>
+	 */
+	function addDays(date, days) {
+		return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+	}
+
+	/**
+	 * @private
+	 * @returns {Boolean} Whether or not two dates fall on the same day
+	 */
+	function sameDay(a, b) {
+		return a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate();
+	}
+
+	return module;
+});
@@ -0,0 +1,147 @@
+HBS.define('HAN.challenge.archive', ['HAN.main', 'HAN.challenge'], function(main, challenge) {
+	var log = HBS.logger('HAN.challenge.archive');
+
+	/**
+	 * Compiled templates, keyed by name.
+	 * @private
+	 */
+	var compiledTemplates = {};
+
+	/**
+	 * @exports HAN.challenge.archive
+	 * @desc The archive page: a list of past challenges and the winners of one of them, with charts of
+	 * how the month went. It is a page function of the HAN.challenge section, so a page runs it with
+	 * <pre>&lt;body data-section="HAN.challenge" data-page="archive" data-hbs-auto-init="true"&gt;</pre>
+	 * and it renders into the element matching archive.selector. The month shown comes from the route's
+	 * month param or query value, then from ?month= in the page URL, so archive.html?month=2012-09 links
+	 * straight to September. Without one it shows the most recent past challenge.
+	 * @param {Object} [params] Route params, when run by HBS.router
+	 * @param {Object} [query] Route query values, when run by HBS.router
+	 */
+	function archive(params, query) {
+		var $container = $(archive.selector),
+			month = (params && params.month) || (query && query.month) ||
+				HBS.router.parseQuery(document.location.search).month;
+
+		if ($container.length === 0) {
+			log.warn("The page has no " + archive.selector + " element to show the archive in");
+			return;
+		}
+
+		$container.addClass('is-loading');
+		// The charts are components, so wait until HAN.main has set them up
+		HBS.ready('HAN.main', function() {
+			archive.show($container[0], month && String(month));
+		});
+	}
+
+	/**
+	 * Where the archive is rendered.
+	 */
+	archive.selector = '[data-archive]';
+
+	/**
+	 * Underscore template source. "archive" gets {months, challenge, winners, names}; "message" gets {message}.
+	 */
+	archive.templates = {
+		archive:
+			'<nav class="archive-months" aria-label="Past challenges"><ul>' +
+				'<% _.each(months, function(month) { %>' +
+					'<li><a href="?month=<%- month.id %>"' +
+						'<% if (month.id === challenge.id) { %> class="is-active" aria-current="page"<% } %>>' +
+						'<%- month.name %></a></li>' +
+				'<% }); %>' +
+			'</ul></nav>' +
+			'<section class="archive-winners">' +
+				'<h2 class="archive-heading">Congratulations to our <%- challenge.name %> winners, ' +
+					'<strong><%- names %></strong>!</h2>' +
+				'<% if (challenge.trophy) { %><img class="archive-trophy" src="<%- challenge.trophy %>" alt=""><% } %>' +
+				'<% _.each(winners, function(team) { %>' +
+					'<figure class="archive-team">' +
+						'<% if (team.photo) { %><img class="archive-photo" src="<%- team.photo %>" alt="<%- team.name %>"><% } %>' +
+						'<figcaption>' +
+							'<span class="archive-team-name"><%- team.name %></span>' +
+							'<% if (team.motto) { %> <q class="archive-motto"><%- team.motto %></q><% } %>' +
+						'</figcaption>' +
+					'</figure>' +
+				'<% }); %>' +
+			'</section>' +
+			'<section class="archive-charts">' +
+				'<div data-module="HAN.components.ChartWidget" data-chart-type="Bar" data-chart-source="teamAverages"' +
+					' data-challenge="<%- challenge.id %>"></div>' +
+				'<div data-module="HAN.components.ChartWidget" data-chart-type="Line" data-chart-source="cumulativeSteps"' +
+					' data-challenge="<%- challenge.id %>"></div>' +
+			'</section>',
+		message:
+			'<p class="archive-message"><%- message %></p>'
+	};
+
+	/**
+	 * Renders a past challenge into an element, replacing whatever archive was there.
+	 * @param {Element} container
+	 * @param {String} [id] The challenge to show. Defaults to the most recent past challenge.
+	 * @returns {Promise} A jQuery promise resolved with the Challenge shown, or rejected with an Error
+	 */
+	archive.show = function(container, id) {
+		var $container = $(container);
+
+		return challenge.list().then(function(entries) {
+			var today = new Date(),
+				months = $.grep(entries, function(entry) {
+					// end is midnight at the start of the last day, which is still part of the challenge
+					return new Date(entry.end.getFullYear(), entry.end.getMonth(), entry.end.getDate() + 1) <= today;
+				}),
+				entry = id ? $.grep(months, function(month) {
+					return month.id === id;
+				})[0] : months[0];
+
+			if (!entry) {
+				return $.Deferred().reject(new Error(id ?
+					"HAN.challenge.archive: there is no past challenge " + id :
+					"HAN.challenge.archive: there are no past challenges")).promise();
+			}
+
+			return challenge.load(entry.id).then(function(loaded) {
+				var winners = loaded.winners();
+
+				render($container, 'archive', {
+					months: months,
+					challenge: loaded,
+					winners: winners,
+					names: $.map(winners, function(team) {
+						return team.name;
+					}).join(' and ')
+				});
+				return loaded;
+			});
+		}).fail(function(error) {
+			log.warn(error.message);
+			render($container, 'message', {
+				message: "Sorry, we couldn't find that challenge."
+			});
+			$container.addClass('is-failed');
+		});
+	};
+
+	/**
+	 * Replaces the container's content with a template, tearing down the modules in the old content and
+	 * bootstrapping the ones in the new.
+	 * @private
+	 * @param {jQuery} $container
+	 * @param {String} name A key of archive.templates
+	 * @param {Object} data
+	 */
+	function render($container, name, data) {
+		if (!compiledTemplates[name]) {
+			compiledTemplates[name] = _.template(archive.templates[name]);
+		}
+
+		HBS.destroyModules($container[0]);
+		$container
+			.removeClass('is-loading is-failed')
+			.html(compiledTemplates[name](data));
+		HBS.initModules($container[0]);
+	}
+
+	return archive;
+});
@@ -0,0 +1,420 @@
+HBS.define('HAN.components.ChartWidget', ['HAN.main', 'HAN.challenge'], function(main, challenge) {
+	var log = HBS.logger('HAN.components.ChartWidget');
+
+	/**
+	 * Numbers the canvases, since ChartNew keeps its per-chart state by canvas id.
+	 * @private
+	 */
+	var canvasCount = 0;
+
+	/**
+	 * Whether or not the brand options have been added to ChartNew's defaults.
+	 * @private
+	 */
+	var branded = false;
+
+	/**
+	 * @class ChartWidget
+	 * @memberof HAN.components
+	 * @desc Draws a ChartNew chart of a challenge. Bootstrapped by HBS.initModules() from markup such as
+	 * <pre>&lt;div data-module="HAN.components.ChartWidget" data-chart-type="Line"
+	 *     data-chart-source="cumulativeSteps" data-challenge="2013-10"&gt;&lt;/div&gt;</pre>
+	 * Options, which fall back to HBS.config('HAN.components.ChartWidget'):
+	 * <ul>
+	 * <li><b>chartType</b>: a ChartNew chart type from ChartWidget.types, e.g. Line, Bar, StackedBar or Pie</li>
+	 * <li><b>chartSource</b>: the name of a function in ChartWidget.sources, or the package name of any
+	 * function, that turns a Challenge into {labels, datasets: [{label, data}]}. Pie, Doughnut and
+	 * PolarArea charts show the first dataset. Scatter and Bubble datasets are lists of {x, y} points, with
+	 * r for a Bubble's size, and need no labels. A Gauge shows the first value of the first dataset,
+	 * between the dataset's min and max, as the dailyGoal source gives them.</li>
+	 * <li><b>challenge</b>: the id of the challenge to load. Without it the chart shows whichever
+	 * challenge the page last loaded with HAN.challenge.load().</li>
+	 * <li><b>chartOptions</b>: ChartNew options for this chart, as JSON</li>
+	 * <li><b>aspectRatio</b>: the canvas's height as a fraction of its width</li>
+	 * <li><b>palette</b>: colours given to datasets, or to segments of a Pie, in order</li>
+	 * </ul>
+	 * The canvas fills the element's width and is redrawn when the window is resized or the challenge is
+	 * loaded again. ChartNew is part of js/lib/libs.js; on a page without it the widget logs an error and
+	 * adds is-failed instead of drawing.
+	 * @param {Element} element
+	 * @param {Object} [options]
+	 */
+	var ChartWidget = HBS.Class.extend({
+		init: function(element, options) {
+			var View = this.constructor;
+
+			this.$element = $(element);
+			this.options = $.extend({}, HBS.config('HAN.components.ChartWidget'), options);
+			this.type = this.options.chartType;
+			this.source = View.getSource(this.options.chartSource);
+			this.challenge = null;
+			this.chart = null;
+			this.width = null;
+			this.destroyed = false;
+			this.resizeNamespace = '.chartWidget' + (++canvasCount);
+
+			if ($.inArray(this.type, View.types) === -1) {
+				throw new Error("HAN.components.ChartWidget: unknown chart type " + this.type);
+			}
+
+			this.canvas = $('<canvas class="chart-widget-canvas"></canvas>')
+				.attr('id', 'chart-widget-' + canvasCount)
+				.appendTo(this.$element.addClass('chart-widget is-loading'))[0];
+
+			$(window).on('resize' + this.resizeNamespace, $.debounce ?
+				$.debounce(250, $.proxy(this.resize, this)) : $.proxy(this.resize, this));
+			// A widget with a challenge of its own draws it from load(), which resolves from HAN.challenge's
+			// cache without a "challenge:loaded" event, and only listens for reloads
+			HBS.events.on('challenge:loaded', this.onLoaded, this, {replay: !this.options.challenge});
+
+			if (this.options.challenge) {
+				challenge.load(String(this.options.challenge))
+					.done($.proxy(function(loaded) {
+						if (!this.destroyed && loaded !== this.challenge) {
+							this.setChallenge(loaded);
+						}
+					}, this))
+					.fail($.proxy(function() {
+						if (!this.destroyed) {
+							this.$element.removeClass('is-loading').addClass('is-failed');
+						}
+					}, this));
+			}
+		},
+
+		/**
+		 * Charts a challenge. Called whenever HAN.challenge loads the challenge this widget shows. A chart
+		 * that is already drawn animates to the new data.
+		 * @param {HAN.challenge.Challenge} loaded
+		 */
+		setChallenge: function(loaded) {
+			this.challenge = loaded;
+			this.$element.removeClass('is-loading is-failed');
+			if (this.chart !== null) {
+				this.chart.update(this.data(), {animate: true});
+			} else {
+				this.render();
+			}
+		},
+
+		/**
+		 * @returns {Object|Array} The challenge in ChartNew's shape for this chart type, coloured from the palette
+		 */
+		data: function() {
+			var palette = this.options.palette,
+				data = this.source(this.challenge),
+				segments = $.inArray(this.type, this.constructor.segmentTypes) !== -1,
+				fill = (this.type === 'Line' || this.type === 'Radar') ? 0.2 : 0.8;
+
+			if (this.type === 'Gauge') {
+				return {
+					value: data.datasets[0].data[0],
+					min: data.datasets[0].min,
+					max: data.datasets[0].max,
+					title: data.datasets[0].label
+				};
+			}
+
+			if (segments) {
+				return $.map(data.labels, function(label, i) {
+					return {
+						value: data.datasets[0].data[i],
+						color: palette[i % palette.length],
+						title: label
+					};
+				});
+			}
+
+			return {
+				labels: data.labels,
+				datasets: $.map(data.datasets, function(dataset, i) {
+					var colour = palette[i % palette.length];
+
+					return $.extend({
+						title: dataset.label,
+						fillColor: toRgba(colour, fill),
+						strokeColor: colour,
+						pointColor: colour,
+						pointStrokeColor: '#fff'
+					}, dataset);
+				})
+			};
+		},
+
+		/**
+		 * Draws the chart across the element's width, replacing the chart already drawn.
+		 * @param {Object} [options] ChartNew options for this draw only, over the chartOptions option
+		 */
+		render: function(options) {
+			var context;
+
+			if (this.challenge === null) {
+				return;
+			}
+
+			context = this.canvas.getContext ? this.canvas.getContext('2d') : null;
+			if (!context) {
+				log.warn("Canvas is not supported, so " + this.canvas.id + " can't be drawn");
+				this.$element.addClass('is-unsupported');
+				return;
+			}
+
+			if (typeof(window.Chart) !== 'function') {
+				log.error("ChartNew isn't loaded, so " + this.canvas.id + " can't be drawn");
+				this.$element.addClass('is-failed');
+				return;
+			}
+
+			if (this.chart !== null) {
+				this.chart.destroy();
+			}
+
+			applyBrand();
+			this.size();
+			this.chart = new window.Chart(context)[this.type](this.data(), $.extend({}, this.options.chartOptions, options));
+		},
+
+		/**
+		 * Sizes the canvas to the element's width and the aspect ratio. An element with no width, such as
+		 * one that is hidden, keeps the canvas's current size.
+		 */
+		size: function() {
+			var width = this.$element.width();
+
+			if (width > 0) {
+				this.width = width;
+				this.canvas.width = width;
+				this.canvas.height = Math.round(width * this.options.aspectRatio);
+			}
+		},
+
+		/**
+		 * Redraws the chart, without animating, if the element's width has changed.
+		 */
+		resize: function() {
+			if (this.$element.width() !== this.width) {
+				this.render({animation: false});
+			}
+		},
+
+		/**
+		 * Destroys the chart, unbinds the widget and removes the canvas. Called by HBS.destroyModules().
+		 */
+		destroy: function() {
+			this.destroyed = true;
+			if (this.chart !== null) {
+				this.chart.destroy();
+				this.chart = null;
+			}
+			$(window).off(this.resizeNamespace);
+			HBS.events.off('challenge:loaded', this.onLoaded, this);
+			$(this.canvas).remove();
+			this.$element.removeClass('chart-widget is-loading is-failed is-unsupported');
+		},
+
+		/**
+		 * @private
+		 * @param {HAN.challenge.Challenge} loaded
+		 */
+		onLoaded: function(loaded) {
+			if (!this.options.challenge || loaded.id === String(this.options.challenge)) {
+				this.setChallenge(loaded);
+			}
+		}
+	}, {
+		config: {
+			schema: {
+				chartType: {type: 'string'},
+				chartSource: {type: 'string'},
+				chartOptions: {type: 'object'},
+				aspectRatio: {type: 'number'},
+				palette: {type: 'array'}
+			},
+			defaults: {
+				chartType: 'Bar',
+				chartSource: 'teamTotals',
+				chartOptions: {},
+				aspectRatio: 0.5,
+				palette: ['#00a0af', '#f58025', '#8cc63f', '#6d6e71', '#e2156b', '#fdb913']
+			}
+		},
+
+		/**
+		 * The ChartNew chart types a widget can draw.
+		 */
+		types: ['Line', 'Bar', 'StackedBar', 'HorizontalBar', 'HorizontalStackedBar', 'Radar', 'Pie', 'Doughnut', 'PolarArea',
+			'Scatter', 'Bubble', 'Gauge'],
+
+		/**
+		 * Chart types that take a list of segments rather than {labels, datasets}.
+		 */
+		segmentTypes: ['Pie', 'Doughnut', 'PolarArea'],
+
+		/**
+		 * Options added to ChartNew's charJSPersonnalDefaultOptions before the first chart is drawn, so
+		 * every chart on the page, widget or not, uses the brand's type and greys.
+		 */
+		brand: {
+			scaleFontFamily: "'Helvetica Neue', Helvetica, Arial, sans-serif",
+			scaleFontColor: '#6d6e71',
+			scaleLineColor: 'rgba(109, 110, 113, 0.4)',
+			scaleGridLineColor: 'rgba(109, 110, 113, 0.1)',
+			legendFontFamily: "'Helvetica Neue', Helvetica, Arial, sans-serif",
+			legendFontColor: '#6d6e71',
+			annotateDisplay: true
+		},
+
+		/**
+		 * Functions that turn a Challenge into {labels, datasets: [{label, data}]}, by chartSource name.
+		 */
+		sources: {
+			teamTotals: function(loaded) {
+				return {
+					labels: pluck(loaded.teams, 'name'),
+					datasets: [{label: 'Total steps', data: pluck(loaded.teams, 'totalSteps')}]
+				};
+			},
+
+			teamAverages: function(loaded) {
+				return {
+					labels: pluck(loaded.teams, 'name'),
+					datasets: [{label: 'Steps per member', data: pluck(loaded.teams, 'averageSteps')}]
+				};
+			},
+
+			participantTotals: function(loaded) {
+				return {
+					labels: pluck(loaded.participants, 'name'),
+					datasets: [{label: 'Total steps', data: pluck(loaded.participants, 'totalSteps')}]
+				};
+			},
+
+			dailyGoal: function(loaded) {
+				var perDay = Math.round(loaded.averageSteps / dayLabels(loaded).length);
+
+				return {
+					labels: ['Steps per day'],
+					datasets: [{label: 'Steps per day', data: [perDay], min: 0, max: loaded.goal}]
+				};
+			},
+
+			dailySteps: function(loaded) {
+				var labels = dayLabels(loaded);
+
+				return {
+					labels: labels,
+					datasets: $.map(loaded.teams, function(team) {
+						return {label: team.name, data: teamDays(team, labels.length)};
+					})
+				};
+			},
+
+			cumulativeSteps: function(loaded) {
+				var labels = dayLabels(loaded);
+
+				return {
+					labels: labels,
+					datasets: $.map(loaded.teams, function(team) {
+						var total = 0;
+
+						return {
+							label: team.name,
+							data: $.map(teamDays(team, labels.length), function(steps) {
+								return (total += steps);
+							})
+						};
+					})
+				};
+			}
+		},
+
+		/**
+		 * @param {String} name A key of sources, or the package name of a function
+		 * @returns {Function} The source function
+		 */
+		getSource: function(name) {
+			var source = this.sources.hasOwnProperty(name) ? this.sources[name] : HBS.getNamespacedObject(name);
+
+			if (typeof(source) !== 'function') {
+				throw new Error("HAN.components.ChartWidget: unknown chart source " + name);
+			}
+			return source;
+		}
+	});
+
+	/**
+	 * Adds the brand options to ChartNew's page-wide defaults, once.
+	 * @private
+	 */
+	function applyBrand() {
+		if (!branded && typeof(window.charJSPersonnalDefaultOptions) === 'object') {
+			$.extend(window.charJSPersonnalDefaultOptions, ChartWidget.brand);
+			branded = true;
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {Array} items
+	 * @param {String} property
+	 * @returns {Array} Each item's <b>property</b>
+	 */
+	function pluck(items, property) {
+		return $.map(items, function(item) {
+			return item[property];
+		});
+	}
+
+	/**
+	 * @private
+	 * @param {HAN.challenge.Challenge} loaded
+	 * @returns {Array} Month/day labels for each day of the challenge
+	 */
+	function dayLabels(loaded) {
+		var labels = [],
+			day = new Date(loaded.start.getTime());
+
+		while (day <= loaded.end) {
+			labels.push((day.getMonth() + 1) + '/' + day.getDate());
+			day.setDate(day.getDate() + 1);
+		}
+		return labels;
+	}
+
+	/**
+	 * @private
+	 * @param {HAN.challenge.Team} team
+	 * @param {Number} length The number of days in the challenge
+	 * @returns {Array} The team's steps for each day, its members' steps added together. Days nobody
+	 * logged are 0, so ChartNew never gets a gap to plot.
+	 */
+	function teamDays(team, length) {
+		var days = [];
+
+		for (var i = 0; i < length; i++) {
+			days.push(0);
+		}
+		$.each(team.participants, function(i, participant) {
+			$.each(participant.days, function(day, daily) {
+				if (day < length) {
+					days[day] += daily.steps;
+				}
+			});
+		});
+		return days;
+	}
+
+	/**
+	 * @private
+	 * @param {String} colour A #rrggbb colour
+	 * @param {Number} alpha
+	 * @returns {String} The colour as rgba()
+	 */
+	function toRgba(colour, alpha) {
+		var value = parseInt(colour.slice(1), 16);
+
+		return 'rgba(' + [value >> 16, (value >> 8) & 255, value & 255, alpha].join(', ') + ')';
+	}
+
+	return main.register('HAN.components.ChartWidget', ChartWidget);
+});
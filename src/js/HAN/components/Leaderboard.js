@@ -0,0 +1,315 @@
+HBS.define('HAN.components.Leaderboard', ['HAN.main', 'HAN.challenge'], function(main, challenge) {
+	/**
+	 * Compiled templates, keyed by their source, so each is compiled once however many classes use it.
+	 * @private
+	 */
+	var compiledTemplates = {};
+
+	/**
+	 * @class Leaderboard
+	 * @memberof HAN.components
+	 * @desc Renders a challenge's standings. Bootstrapped by HBS.initModules() from markup such as
+	 * <pre>&lt;div data-module="HAN.components.Leaderboard" data-challenge="2013-10" data-show="participants"
+	 *     data-sort="streak" data-page-size="20"&gt;&lt;/div&gt;</pre>
+	 * Options, which fall back to HBS.config('HAN.components.Leaderboard'):
+	 * <ul>
+	 * <li><b>challenge</b>: the id of the challenge to load. Without it the leaderboard shows whichever
+	 * challenge the page last loaded with HAN.challenge.load().</li>
+	 * <li><b>show</b>: teams or participants</li>
+	 * <li><b>sort</b>: totalSteps, averageSteps or streak. Visitors can change it with the sort buttons.</li>
+	 * <li><b>pageSize</b>: rows per page</li>
+	 * <li><b>refresh</b>: seconds between reloading the challenge, for live standings. 0 turns it off.</li>
+	 * <li><b>animate</b>: milliseconds rows take to slide to a new position. 0 turns it off.</li>
+	 * </ul>
+	 * Equal scores share a rank and are marked with is-tied. Markup comes from Leaderboard.templates,
+	 * which are Underscore templates, so a subclass can replace them.
+	 * @param {Element} element
+	 * @param {Object} [options]
+	 */
+	var Leaderboard = HBS.Class.extend({
+		init: function(element, options) {
+			this.$element = $(element);
+			this.options = $.extend({}, HBS.config('HAN.components.Leaderboard'), options);
+			this.sort = this.options.sort;
+			this.page = 1;
+			this.challenge = null;
+			this.timer = null;
+			this.destroyed = false;
+
+			this.$element
+				.addClass('leaderboard is-loading')
+				.on('click.leaderboard', '[data-leaderboard-sort]', $.proxy(function(e) {
+					this.sortBy($(e.currentTarget).attr('data-leaderboard-sort'));
+				}, this))
+				.on('click.leaderboard', '[data-leaderboard-page]', $.proxy(function(e) {
+					this.goToPage(+$(e.currentTarget).attr('data-leaderboard-page'));
+				}, this));
+
+			// A leaderboard with a challenge of its own renders it from refresh(), and only listens for reloads
+			HBS.events.on('challenge:loaded', this.onLoaded, this, {replay: !this.options.challenge});
+
+			if (this.options.challenge) {
+				this.refresh(false);
+				if (this.options.refresh > 0) {
+					this.timer = setInterval($.proxy(this.refresh, this), this.options.refresh * 1000);
+				}
+			}
+		},
+
+		/**
+		 * Shows a challenge. Called whenever HAN.challenge loads the challenge this leaderboard shows.
+		 * @param {HAN.challenge.Challenge} loaded
+		 */
+		setChallenge: function(loaded) {
+			this.challenge = loaded;
+			this.$element.removeClass('is-loading is-failed');
+			this.render();
+		},
+
+		/**
+		 * Loads the challenge named by the challenge option and renders it. A challenge that has already
+		 * loaded comes from HAN.challenge's cache without a "challenge:loaded" event, so the leaderboard
+		 * renders whatever the promise resolves with.
+		 * @param {Boolean} [reload=true] Fetch the challenge again even if it has already loaded
+		 * @returns {Promise} The promise from HAN.challenge.load()
+		 */
+		refresh: function(reload) {
+			return challenge.load(String(this.options.challenge), {reload: reload !== false})
+				.done($.proxy(function(loaded) {
+					if (!this.destroyed && loaded !== this.challenge) {
+						this.setChallenge(loaded);
+					}
+				}, this))
+				.fail($.proxy(function() {
+					if (!this.destroyed && this.challenge === null) {
+						this.$element.removeClass('is-loading').addClass('is-failed');
+					}
+				}, this));
+		},
+
+		/**
+		 * @param {String} sort totalSteps, averageSteps or streak
+		 */
+		sortBy: function(sort) {
+			if (!this.constructor.sorts.hasOwnProperty(sort)) {
+				throw new Error("HAN.components.Leaderboard: unknown sort " + sort);
+			}
+
+			this.sort = sort;
+			this.page = 1;
+			this.render();
+		},
+
+		/**
+		 * @param {Number} page A page number, from 1. Numbers out of range go to the first or last page.
+		 */
+		goToPage: function(page) {
+			this.page = page;
+			this.render();
+		},
+
+		/**
+		 * @returns {Array} Every row in rank order, as {item, rank, tied, score} where item is a Team or Participant
+		 */
+		standings: function() {
+			var sort = this.sort,
+				rows,
+				counts = {};
+
+			if (this.challenge === null) {
+				return [];
+			}
+
+			rows = challenge.rank(this.challenge[this.options.show], sort);
+			$.each(rows, function(i, row) {
+				counts[row.rank] = (counts[row.rank] || 0) + 1;
+			});
+
+			return $.map(rows, function(row) {
+				return {
+					item: row.item,
+					rank: row.rank,
+					tied: counts[row.rank] > 1,
+					score: row.item[sort]
+				};
+			});
+		},
+
+		/**
+		 * Renders the current page. Rows still on the page slide from where they were to where they are now.
+		 */
+		render: function() {
+			var View = this.constructor,
+				rows = this.standings(),
+				pages = Math.max(1, Math.ceil(rows.length / this.options.pageSize)),
+				before = this.positions();
+
+			this.page = Math.min(Math.max(1, Math.floor(this.page) || 1), pages);
+			rows = rows.slice((this.page - 1) * this.options.pageSize, this.page * this.options.pageSize);
+
+			this.$element.html(View.render('leaderboard', {
+				rows: rows,
+				sort: this.sort,
+				sorts: View.sorts,
+				page: this.page,
+				pages: pages,
+				format: formatNumber,
+				row: function(row) {
+					return View.render('row', $.extend({format: formatNumber}, row));
+				}
+			}));
+
+			this.animate(before);
+		},
+
+		/**
+		 * @returns {Object} The top offset of each rendered row, keyed by id
+		 */
+		positions: function() {
+			var positions = {};
+
+			this.$element.find('[data-id]').each(function() {
+				positions[this.getAttribute('data-id')] = $(this).position().top;
+			});
+			return positions;
+		},
+
+		/**
+		 * Slides rows that moved from their old offsets to their new ones.
+		 * @param {Object} before Offsets from positions(), taken before the last render
+		 */
+		animate: function(before) {
+			var duration = this.options.animate;
+
+			if (!duration) {
+				return;
+			}
+
+			this.$element.find('[data-id]').each(function() {
+				var $row = $(this),
+					id = this.getAttribute('data-id'),
+					offset;
+
+				if (before.hasOwnProperty(id)) {
+					offset = before[id] - $row.position().top;
+					if (offset !== 0) {
+						$row
+							.addClass(offset > 0 ? 'is-up' : 'is-down')
+							.css({position: 'relative', top: offset})
+							.animate({top: 0}, duration, function() {
+								$row.removeClass('is-up is-down').css({position: '', top: ''});
+							});
+					}
+				}
+			});
+		},
+
+		/**
+		 * Stops refreshing and unbinds everything. Called by HBS.destroyModules().
+		 */
+		destroy: function() {
+			this.destroyed = true;
+			clearInterval(this.timer);
+			HBS.events.off('challenge:loaded', this.onLoaded, this);
+			this.$element
+				.off('.leaderboard')
+				.removeClass('leaderboard is-loading is-failed')
+				.empty();
+		},
+
+		/**
+		 * @private
+		 * @param {HAN.challenge.Challenge} loaded
+		 */
+		onLoaded: function(loaded) {
+			if (!this.options.challenge || loaded.id === String(this.options.challenge)) {
+				this.setChallenge(loaded);
+			}
+		}
+	}, {
+		config: {
+			schema: {
+				show: {type: 'string', values: ['teams', 'participants']},
+				sort: {type: 'string', values: ['totalSteps', 'averageSteps', 'streak']},
+				pageSize: {type: 'number'},
+				refresh: {type: 'number'},
+				animate: {type: 'number'}
+			},
+			defaults: {
+				show: 'teams',
+				sort: 'totalSteps',
+				pageSize: 10,
+				refresh: 0,
+				animate: 400
+			}
+		},
+
+		/**
+		 * The sorts visitors can choose, mapped to their button labels.
+		 */
+		sorts: {
+			totalSteps: 'Total steps',
+			averageSteps: 'Average',
+			streak: 'Best streak'
+		},
+
+		/**
+		 * Underscore template source. "leaderboard" gets {rows, sort, sorts, page, pages, format, row} and
+		 * calls row() for each row; "row" gets a row from standings() plus format().
+		 */
+		templates: {
+			leaderboard:
+				'<div class="leaderboard-sorts" role="toolbar">' +
+					'<% _.each(sorts, function(label, key) { %>' +
+						'<button type="button" class="leaderboard-sort<% if (key === sort) { %> is-active<% } %>"' +
+							' data-leaderboard-sort="<%- key %>" aria-pressed="<%= key === sort %>"><%- label %></button>' +
+					'<% }); %>' +
+				'</div>' +
+				'<ol class="leaderboard-rows">' +
+					'<% _.each(rows, function(data) { %><%= row(data) %><% }); %>' +
+				'</ol>' +
+				'<% if (pages > 1) { %>' +
+					'<div class="leaderboard-pager">' +
+						'<button type="button" class="leaderboard-previous" data-leaderboard-page="<%= page - 1 %>"' +
+							'<% if (page === 1) { %> disabled<% } %>>Previous</button>' +
+						'<span class="leaderboard-page">Page <%= page %> of <%= pages %></span>' +
+						'<button type="button" class="leaderboard-next" data-leaderboard-page="<%= page + 1 %>"' +
+							'<% if (page === pages) { %> disabled<% } %>>Next</button>' +
+					'</div>' +
+				'<% } %>',
+			row:
+				'<li class="leaderboard-row<% if (tied) { %> is-tied<% } %>" data-id="<%- item.id %>">' +
+					'<span class="leaderboard-rank"><% if (tied) { %>=<% } %><%= rank %></span>' +
+					'<span class="leaderboard-name"><%- item.name %></span>' +
+					'<% if (item.team) { %><span class="leaderboard-team"><%- item.team.name %></span><% } %>' +
+					'<span class="leaderboard-score"><%- format(score) %></span>' +
+				'</li>'
+		},
+
+		/**
+		 * Renders one of the class's templates.
+		 * @param {String} name A key of templates
+		 * @param {Object} data
+		 * @returns {String} HTML
+		 */
+		render: function(name, data) {
+			var source = this.templates[name];
+
+			if (!compiledTemplates.hasOwnProperty(source)) {
+				compiledTemplates[source] = _.template(source);
+			}
+			return compiledTemplates[source](data);
+		}
+	});
+
+	/**
+	 * @private
+	 * @param {Number} value
+	 * @returns {String} The value with thousands separators, e.g. 12,345
+	 */
+	function formatNumber(value) {
+		return String(value).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+	}
+
+	return main.register('HAN.components.Leaderboard', Leaderboard);
+});
@@ -1,24 +1,210 @@
-/**
- * @requires HBS
- */
-(function() {
+HBS.define('HAN.main', ['HBS'], function(HBS) {
 	/**
 	 * @exports HAN.main
+	 * @desc The application shell. Components register themselves with HAN.main.register(), and
+	 * HAN.main.init() boots the page: it loads config, sets up the registered components, bootstraps
+	 * data-module elements and plugins, starts the router if any component has routes, and signals
+	 * that the app is ready. If any step fails, the page shows an error instead of half-working.
 	 */
 	var module = {};
 
 	/**
-	 * Global init code for the whole application
+	 * Registered components, in registration order, as {name, component} records.
+	 * @private
+	 */
+	var components = [];
+
+	/**
+	 * Whether or not boot has finished, so late registrations can be set up straight away.
+	 * @private
+	 */
+	var booted = false;
+
+	/**
+	 * Whether or not the shell has started HBS.router.
+	 * @private
+	 */
+	var routing = false;
+
+	HBS.declareConfig('HAN.main', {
+		pushState: {type: 'boolean'},
+		root: {type: 'string'},
+		errorMessage: {type: 'string'}
+	}, {
+		pushState: false,
+		root: '/',
+		errorMessage: 'Sorry, something went wrong loading this page. Please try again later.'
+	});
+
+	/**
+	 * Registers a component and namespaces it under <b>name</b>, so data-module="name" and routes can find it.
+	 * A component may declare what it needs from the shell as static members:
+	 * <ul>
+	 * <li><b>config</b>: {schema, defaults} for its settings, passed to HBS.declareConfig()</li>
+	 * <li><b>routes</b>: URL patterns mapped to space-separated page functions, passed to HBS.router.route()</li>
+	 * </ul>
+	 * @example
+	 * HAN.main.register('HAN.components.Leaderboard', Leaderboard);
+	 * @param {String} name The component's package name
+	 * @param {Function|Object} component A constructor or a module object
+	 * @returns {Function|Object} The component
+	 */
+	module.register = function(name, component) {
+		components.push({
+			name: name,
+			component: component
+		});
+		HBS.namespace(name, component, {strict: true});
+
+		if (booted) {
+			setUpComponent(name, component);
+			HBS.initModules();
+			if (!$.isEmptyObject(component.routes)) {
+				routeLate(name);
+			}
+		}
+
+		return component;
+	};
+
+	/**
+	 * @returns {Array} The package names of the registered components, in registration order
+	 */
+	module.components = function() {
+		return $.map(components, function(record) {
+			return record.name;
+		});
+	};
+
+	/**
+	 * Boots the application. Run by HBS.initModule() on DOM ready, so HBS.ready('HAN.main') fires once
+	 * it succeeds and HBS.status() shows it as failed if it doesn't. "app:ready" or "app:failed" is
+	 * triggered on HBS.events either way; subscribe with {replay: true} to hear it after the fact.
 	 */
 	module.init = function() {
-		// Add any code you need to run on the page here
+		var step = 'config',
+			settings;
+
+		try {
+			settings = HBS.config('HAN.main');
+
+			step = 'components';
+			for (var i = 0; i < components.length; i++) {
+				setUpComponent(components[i].name, components[i].component);
+			}
+
+			step = 'modules';
+			HBS.initModules();
+
+			step = 'router';
+			if (hasRoutes()) {
+				startRouter(settings);
+			}
+		} catch (e) {
+			// HBS.initModule() logs the error and marks HAN.main as failed
+			showError(settings, e);
+			HBS.events.trigger('app:failed', e, step);
+			throw e;
+		}
+
+		booted = true;
+		$('html').addClass('app-ready');
+		HBS.events.trigger('app:ready', module);
 	};
 
+	/**
+	 * Applies what a component declares: its config schema and its routes.
+	 * @private
+	 * @param {String} name
+	 * @param {Function|Object} component
+	 */
+	function setUpComponent(name, component) {
+		if (component.config) {
+			HBS.declareConfig(name, component.config.schema || {}, component.config.defaults);
+		}
+
+		for (var pattern in component.routes) {
+			if (component.routes.hasOwnProperty(pattern)) {
+				HBS.router.route(pattern, name, component.routes[pattern]);
+			}
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {Object} settings HAN.main's settings
+	 */
+	function startRouter(settings) {
+		HBS.router.start({
+			pushState: settings.pushState,
+			root: settings.root
+		});
+		routing = true;
+	}
+
+	/**
+	 * Runs the routes of a component registered after boot. The router is started if it isn't running;
+	 * if it is, it has already checked the current URL without them, so it is restarted to check again
+	 * when the URL is one of the new component's routes.
+	 * @private
+	 * @param {String} name The component's package name
+	 */
+	function routeLate(name) {
+		var match;
+
+		if (routing) {
+			match = HBS.router.match(HBS.router.getFragment());
+			if (match === null || match.route.section !== name) {
+				return;
+			}
+		}
+
+		startRouter(HBS.config('HAN.main'));
+	}
+
+	/**
+	 * @private
+	 * @returns {Boolean} Whether or not any registered component declares routes
+	 */
+	function hasRoutes() {
+		for (var i = 0; i < components.length; i++) {
+			if (!$.isEmptyObject(components[i].component.routes)) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Puts an alert at the top of the body and adds app-failed to the html element, so the failure is
+	 * visible and can be styled.
+	 * @private
+	 * @param {Object} [settings] HAN.main's settings, if they loaded
+	 * @param {Error} error
+	 */
+	function showError(settings, error) {
+		var $error = $('<div class="app-error" role="alert"></div>'),
+			message = (settings && settings.errorMessage) || HBS.defaults.modules['HAN.main'].errorMessage;
+
+		$error.append($('<p></p>').text(message));
+		if (HBS.config().debugMode) {
+			$error.append($('<pre></pre>').text(error.message));
+		}
+
+		$('html').addClass('app-failed');
+		$('.app-error').remove();
+		$(document.body).prepend($error);
+	}
+
 	/**
 	 * Initialize the app and run the bootstrapper
 	 */
 	$(document).ready(function() {
-		module.init();
+		// Wait a tick, so HAN.main is namespaced even if the DOM was ready before this factory ran
+		setTimeout(function() {
+			HBS.initModule('HAN.main');
+		}, 0);
 	});
-	HBS.namespace('HAN.main', module);
-}());
+
+	return module;
+});
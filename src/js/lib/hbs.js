@@ -23,95 +23,1951 @@
 (function () {
 	var module = {};
 
+	/**
+	 * Built-in settings. These are the lowest-priority source for config(); see configure().
+	 */
 	module.defaults = {
 		debugMode: true,
-		autoInit: false
+		autoInit: false,
+		scriptTimeout: 15000,
+		modules: {}
+	};
+
+	/**
+	 * The type, and optionally the allowed values, of each HBS setting. Settings that don't match are
+	 * ignored with a warning. Add entries here for any application-wide settings of your own.
+	 */
+	module.configSchema = {
+		debugMode: {type: 'boolean'},
+		autoInit: {type: 'boolean'},
+		scriptTimeout: {type: 'number'},
+		modules: {type: 'object'}
+	};
+
+	/**
+	 * Numeric weights for each log level, lowest first. Records below a logger's or sink's level are dropped.
+	 * @private
+	 */
+	var LOG_LEVELS = {
+		debug: 0,
+		info: 1,
+		warn: 2,
+		error: 3,
+		silent: 4
+	};
+
+	/**
+	 * @namespace HBS.log
+	 * @desc Routes log records from every logger created by HBS.logger() to a list of sinks. A sink is
+	 * an object with a write(record) function and an optional minimum level. Records have time, level,
+	 * namespace, message and args properties. By default records go to the browser console (when there
+	 * is one) and to an in-memory ring buffer that can be read back with HBS.log.dump().
+	 */
+	module.log = {
+		/**
+		 * The minimum level written by loggers that don't set their own. When null, this is "debug"
+		 * if the debugMode setting is on and "warn" if it isn't.
+		 * @type {String}
+		 */
+		level: null,
+		sinks: []
+	};
+
+	/**
+	 * The default level worked out from the debugMode setting, cached because every log call needs it.
+	 * Cleared whenever the settings change.
+	 * @private
+	 */
+	var debugModeLevel = null;
+
+	/**
+	 * @memberof HBS.log
+	 * @returns {String} The effective default log level
+	 */
+	module.log.getLevel = function() {
+		if (module.log.level !== null) {
+			return module.log.level;
+		}
+		if (debugModeLevel === null) {
+			debugModeLevel = module.config().debugMode ? 'debug' : 'warn';
+		}
+		return debugModeLevel;
+	};
+
+	/**
+	 * @memberof HBS.log
+	 * @param {String} level debug, info, warn, error or silent. Pass null to go back to the debugMode default.
+	 */
+	module.log.setLevel = function(level) {
+		if (level !== null && !LOG_LEVELS.hasOwnProperty(level)) {
+			throw new Error("Unknown log level " + level);
+		}
+		module.log.level = level;
+	};
+
+	/**
+	 * @memberof HBS.log
+	 * @param {Object} sink An object with a write(record) function and an optional level
+	 * @returns {Object} The sink, so it can be removed later
+	 */
+	module.log.addSink = function(sink) {
+		module.log.sinks.push(sink);
+		return sink;
+	};
+
+	/**
+	 * @memberof HBS.log
+	 * @param {Object} sink A sink previously passed to addSink()
+	 */
+	module.log.removeSink = function(sink) {
+		var index = $.inArray(sink, module.log.sinks);
+
+		if (index !== -1) {
+			module.log.sinks.splice(index, 1);
+		}
+	};
+
+	/**
+	 * @memberof HBS.log
+	 * @param {Object} record A log record
+	 * @desc Sends a record to every sink whose level it meets. A sink that throws is skipped so
+	 * logging can never break the page.
+	 */
+	module.log.write = function(record) {
+		var sinks = module.log.sinks.slice(),
+			sink;
+
+		for (var i = 0; i < sinks.length; i++) {
+			sink = sinks[i];
+			if (LOG_LEVELS[record.level] >= LOG_LEVELS[sink.level || 'debug']) {
+				try {
+					sink.write(record);
+				} catch (e) {}
+			}
+		}
+	};
+
+	/**
+	 * @memberof HBS.log
+	 * @param {Object} record A log record
+	 * @returns {String} The record as a single line, e.g. "[HAN.main] WARN: Something happened"
+	 */
+	module.log.format = function(record) {
+		return '[' + record.namespace + '] ' + record.level.toUpperCase() + ': ' + record.message;
+	};
+
+	/**
+	 * @memberof HBS.log
+	 * @desc Creates a sink that writes to the browser console. The console is looked up on every write,
+	 * so nothing is written (and nothing breaks) in old IE until the developer tools are open.
+	 * @param {String} [level] The sink's minimum level
+	 * @returns {Object} A sink
+	 */
+	module.log.consoleSink = function(level) {
+		return {
+			level: level,
+			write: function(record) {
+				var method;
+
+				if (typeof(console) === 'undefined') {
+					return;
+				}
+
+				method = console[record.level] ? record.level : 'log';
+				if (record.args.length > 0 && typeof(console[method].apply) === 'function') {
+					console[method].apply(console, [module.log.format(record)].concat(record.args));
+				} else {
+					console[method](module.log.format(record));
+				}
+			}
+		};
+	};
+
+	/**
+	 * @memberof HBS.log
+	 * @desc Creates a sink that keeps the most recent records in memory.
+	 * @param {Number} [size=200] The number of records to keep
+	 * @param {String} [level] The sink's minimum level
+	 * @returns {Object} A sink with records() and clear() functions
+	 */
+	module.log.bufferSink = function(size, level) {
+		var records = [];
+
+		size = size || 200;
+		return {
+			level: level,
+			write: function(record) {
+				records.push(record);
+				if (records.length > size) {
+					records.shift();
+				}
+			},
+			records: function() {
+				return records.slice();
+			},
+			clear: function() {
+				records = [];
+			}
+		};
+	};
+
+	/**
+	 * @memberof HBS.log
+	 * @desc Creates a sink that POSTs each record as JSON to a server endpoint, using
+	 * navigator.sendBeacon() where the browser has it so records survive the page unloading.
+	 * @param {String} url The endpoint to post to
+	 * @param {String} [level=error] The sink's minimum level
+	 * @returns {Object} A sink
+	 */
+	module.log.beaconSink = function(url, level) {
+		return {
+			level: level || 'error',
+			write: function(record) {
+				var body;
+
+				if (typeof(JSON) === 'undefined') {
+					return;
+				}
+
+				body = serializeRecord(record);
+				if (navigator.sendBeacon) {
+					navigator.sendBeacon(url, body);
+				} else {
+					$.ajax({
+						url: url,
+						type: 'POST',
+						contentType: 'application/json',
+						data: body
+					});
+				}
+			}
+		};
+	};
+
+	/**
+	 * The ring buffer installed by default, read by HBS.log.dump().
+	 * @memberof HBS.log
+	 */
+	module.log.buffer = module.log.addSink(module.log.bufferSink());
+	module.log.addSink(module.log.consoleSink());
+
+	/**
+	 * @memberof HBS.log
+	 * @desc Returns the contents of the default ring buffer as formatted lines, oldest first. Handy to
+	 * call from the browser's address bar or a support page when no console is available.
+	 * @returns {String}
+	 */
+	module.log.dump = function() {
+		var records = module.log.buffer.records(),
+			lines = [],
+			time;
+
+		for (var i = 0; i < records.length; i++) {
+			time = records[i].time;
+			lines.push((time.toISOString ? time.toISOString() : time.toUTCString()) + ' ' + module.log.format(records[i]));
+		}
+
+		return lines.join('\n');
+	};
+
+	/**
+	 * Loggers created by HBS.logger(), keyed by namespace.
+	 * @private
+	 */
+	var loggers = {};
+
+	/**
+	 * @method logger
+	 * @memberof HBS
+	 * @desc Returns the logger for a namespace, creating it the first time. Loggers have debug(), info(),
+	 * warn() and error() functions that take a message followed by any extra values to log. Set a
+	 * logger's level property to override HBS.log's default level for that namespace only.
+	 * @param {String} namespace Usually the dot-separated package name of the calling module, e.g. HAN.main
+	 * @returns {Object} The logger
+	 */
+	module.logger = function(namespace) {
+		if (!loggers.hasOwnProperty(namespace)) {
+			loggers[namespace] = new Logger(namespace);
+		}
+		return loggers[namespace];
+	};
+
+	/**
+	 * @private
+	 * @constructor
+	 * @param {String} namespace
+	 */
+	function Logger(namespace) {
+		this.namespace = namespace;
+		this.level = null;
+	}
+
+	/**
+	 * @param {String} level
+	 * @returns {Boolean} Whether or not records at the given level will be written
+	 */
+	Logger.prototype.isEnabled = function(level) {
+		return LOG_LEVELS[level] >= LOG_LEVELS[this.level || module.log.getLevel()];
+	};
+
+	$.each(['debug', 'info', 'warn', 'error'], function(i, level) {
+		Logger.prototype[level] = function(message) {
+			if (this.isEnabled(level)) {
+				module.log.write({
+					time: new Date(),
+					level: level,
+					namespace: this.namespace,
+					message: String(message),
+					args: Array.prototype.slice.call(arguments, 1)
+				});
+			}
+		};
+	});
+
+	/**
+	 * @private
+	 * @param {Object} record A log record
+	 * @returns {String} The record as JSON. Errors are reduced to their name, message and stack, and
+	 * args that can't be serialized are dropped.
+	 */
+	function serializeRecord(record) {
+		var data = {
+			time: record.time.getTime(),
+			level: record.level,
+			namespace: record.namespace,
+			message: record.message,
+			url: document.location.href,
+			args: $.map(record.args, function(arg) {
+				return [(arg instanceof Error) ? {name: arg.name, message: arg.message, stack: arg.stack} : arg];
+			})
+		};
+
+		try {
+			return JSON.stringify(data);
+		} catch (e) {
+			delete data.args;
+			return JSON.stringify(data);
+		}
+	}
+
+	var log = module.logger('HBS');
+
+	/**
+	 * Settings read from the page by readDocumentConfig(), or null until the body exists.
+	 * @private
+	 */
+	var documentConfig = null;
+
+	/**
+	 * Settings passed to configure(), merged in the order they were passed.
+	 * @private
+	 */
+	var runtimeConfig = {modules: {}};
+
+	/**
+	 * Config schemas declared by modules with declareConfig(), keyed by package name.
+	 * @private
+	 */
+	var moduleSchemas = {};
+
+	/**
+	 * @method configure
+	 * @memberof HBS
+	 * @desc Changes settings at runtime. Settings are merged from four sources, each overriding the one
+	 * before it: HBS.defaults; a &lt;script type="application/json" id="hbs-config"&gt; block on the page;
+	 * data-hbs-* attributes on the body (data-hbs-debug-mode="false" sets debugMode); and calls to
+	 * configure(). Every setting is checked against HBS.configSchema, and module settings against the
+	 * schema the module declared with declareConfig(). Unknown settings are kept but warned about, and
+	 * settings of the wrong type or value are ignored with a warning.
+	 * <br><br>
+	 * Module settings live under a "modules" key, keyed by package name, in every source except body
+	 * attributes: {"modules": {"HAN.main": {"refreshInterval": 300}}}.
+	 * @param {String|Object} name A module's package name, or an object of HBS settings
+	 * @param {Object} [settings] The module's settings, if name is a package name
+	 * @returns {Object} The merged HBS settings, or the module's merged settings
+	 */
+	module.configure = function(name, settings) {
+		var layer = (typeof(name) === 'string') ? {modules: {}} : name,
+			warnings = [];
+
+		if (typeof(name) === 'string') {
+			layer.modules[name] = settings;
+		}
+
+		$.extend(true, runtimeConfig, validateConfig(layer, 'HBS.configure()', warnings));
+		debugModeLevel = null;
+		logConfigWarnings(warnings);
+
+		return (typeof(name) === 'string') ? module.config(name) : module.config();
+	};
+
+	/**
+	 * @method config
+	 * @memberof HBS
+	 * @param {String} [name] A module's package name
+	 * @returns {Object} A copy of the merged HBS settings, or of the settings for the named module
+	 */
+	module.config = function(name) {
+		var merged;
+
+		if (documentConfig === null && document.body) {
+			readDocumentConfig();
+		}
+
+		merged = $.extend(true, {}, module.defaults, documentConfig, runtimeConfig);
+		if (typeof(name) === 'string') {
+			return merged.modules[name] || {};
+		}
+		return merged;
+	};
+
+	/**
+	 * @method declareConfig
+	 * @memberof HBS
+	 * @desc Declares the settings a module accepts, so the module's settings are validated like HBS's own.
+	 * @param {String} name The module's package name
+	 * @param {Object} schema Setting names mapped to {type, values} rules, like HBS.configSchema
+	 * @param {Object} [defaults] The module's default settings
+	 */
+	module.declareConfig = function(name, schema, defaults) {
+		var warnings = [];
+
+		moduleSchemas[name] = schema;
+		if (defaults) {
+			module.defaults.modules[name] = $.extend(true, {}, module.defaults.modules[name], defaults);
+		}
+
+		if (documentConfig !== null && documentConfig.modules && documentConfig.modules[name]) {
+			documentConfig.modules[name] = checkSchema(documentConfig.modules[name], schema, 'the page for ' + name, warnings);
+		}
+		if (runtimeConfig.modules[name]) {
+			runtimeConfig.modules[name] = checkSchema(runtimeConfig.modules[name], schema, 'HBS.configure() for ' + name, warnings);
+		}
+		logConfigWarnings(warnings);
+	};
+
+	/**
+	 * Reads the hbs-config JSON block and data-hbs-* body attributes, once: the first time config() is
+	 * called after the body exists, or on DOM ready if that is sooner.
+	 * @private
+	 */
+	function readDocumentConfig() {
+		var warnings = [],
+			block = document.getElementById('hbs-config'),
+			blockConfig = {},
+			attributeConfig = {},
+			data;
+
+		if (block !== null) {
+			try {
+				blockConfig = $.parseJSON($.trim(block.text || block.innerHTML)) || {};
+			} catch (e) {
+				warnings.push("Ignoring #hbs-config, which isn't valid JSON: " + e.message);
+			}
+		}
+
+		data = document.body ? $(document.body).data() : {};
+		for (var key in data) {
+			if (data.hasOwnProperty(key) && /^hbs[A-Z]/.test(key)) {
+				attributeConfig[key.charAt(3).toLowerCase() + key.substring(4)] = data[key];
+			}
+		}
+
+		documentConfig = $.extend(true,
+			validateConfig(blockConfig, '#hbs-config', warnings),
+			validateConfig(attributeConfig, 'data-hbs-* attributes', warnings));
+		debugModeLevel = null;
+		logConfigWarnings(warnings);
+	}
+
+	/**
+	 * @private
+	 * @param {Object} settings One source of settings
+	 * @param {String} source Where the settings came from, for warnings
+	 * @param {Array} warnings Warnings are added to this array
+	 * @returns {Object} A copy of settings without the values that broke the schema
+	 */
+	function validateConfig(settings, source, warnings) {
+		var valid = checkSchema(settings, module.configSchema, source, warnings),
+			name;
+
+		if (valid.hasOwnProperty('modules')) {
+			for (name in valid.modules) {
+				if (valid.modules.hasOwnProperty(name) && moduleSchemas.hasOwnProperty(name)) {
+					valid.modules[name] = checkSchema(valid.modules[name], moduleSchemas[name], source + ' for ' + name, warnings);
+				}
+			}
+		}
+
+		return valid;
+	}
+
+	/**
+	 * @private
+	 * @param {Object} settings
+	 * @param {Object} schema Setting names mapped to {type, values} rules
+	 * @param {String} source Where the settings came from, for warnings
+	 * @param {Array} warnings Warnings are added to this array
+	 * @returns {Object} A copy of settings without the values that broke the schema
+	 */
+	function checkSchema(settings, schema, source, warnings) {
+		var valid = {},
+			rule,
+			type,
+			key;
+
+		for (key in settings) {
+			if (!settings.hasOwnProperty(key)) {
+				continue;
+			}
+
+			rule = schema[key];
+			if (!rule) {
+				warnings.push("Unknown setting " + key + " in " + source);
+				valid[key] = settings[key];
+				continue;
+			}
+
+			type = $.isArray(settings[key]) ? 'array' : (settings[key] === null ? 'null' : typeof(settings[key]));
+			if (rule.type && type !== rule.type) {
+				warnings.push("Ignoring " + key + " in " + source + ": expected a " + rule.type + " but got a " + type);
+			} else if (rule.values && $.inArray(settings[key], rule.values) === -1) {
+				warnings.push("Ignoring " + key + " in " + source + ": " + settings[key] + " is not one of " + rule.values.join(', '));
+			} else {
+				valid[key] = (type === 'object') ? $.extend(true, {}, settings[key]) : settings[key];
+			}
+		}
+
+		return valid;
+	}
+
+	/**
+	 * Logs config warnings once the settings they came from are in place, since logging reads config().
+	 * @private
+	 * @param {Array} warnings
+	 */
+	function logConfigWarnings(warnings) {
+		for (var i = 0; i < warnings.length; i++) {
+			log.warn(warnings[i]);
+		}
+	}
+
+	/**
+	 * The lifecycle state of every module HBS knows about, keyed by package name.
+	 * @private
+	 */
+	var lifecycle = {};
+
+	/**
+	 * Deferreds behind HBS.ready(), keyed by package name.
+	 * @private
+	 */
+	var readyDeferreds = {};
+
+	/**
+	 * @method status
+	 * @memberof HBS
+	 * @desc Reports the lifecycle state of every module HBS has seen, for finding out what broke on a page.
+	 * A module is "registered" when it is namespaced or defined, "loading" while its scripts load,
+	 * "initialised" once its init() has run (or, for a defined module without an init(), once its factory
+	 * has run), "failed" if any of those threw, and "destroyed" once it has been torn down.
+	 * @returns {Object} Package names mapped to {state, error, time} records. Try console.table(HBS.status()).
+	 */
+	module.status = function() {
+		var table = {};
+
+		for (var name in lifecycle) {
+			if (lifecycle.hasOwnProperty(name)) {
+				table[name] = $.extend({}, lifecycle[name]);
+			}
+		}
+
+		return table;
+	};
+
+	/**
+	 * @method ready
+	 * @memberof HBS
+	 * @desc Waits for a module to finish initialising. If it already has, the callback runs straight away.
+	 * @param {String} name The module's package name, e.g. HAN.main
+	 * @param {Function} [callback] Run with the module once it is initialised
+	 * @returns {Promise} A jQuery promise resolved with the module, or rejected with the error if it fails
+	 */
+	module.ready = function(name, callback) {
+		var promise = getReadyDeferred(name).promise();
+
+		if (typeof(callback) === 'function') {
+			promise.done(callback);
+		}
+		return promise;
+	};
+
+	/**
+	 * @method initModule
+	 * @memberof HBS
+	 * @desc Runs the init() function of a namespaced module, isolating and reporting any error it throws
+	 * and tracking its lifecycle state for status() and ready().
+	 * @param {String} name The module's package name, e.g. HAN.main
+	 * @param {Array} [args] Arguments for init()
+	 * @returns {Boolean} Whether or not init() ran without throwing
+	 */
+	module.initModule = function(name, args) {
+		var target = module.getNamespacedObject(name);
+
+		if (!target || typeof(target.init) !== 'function') {
+			setState(name, 'failed', new Error("Unable to load module " + name));
+			log.error("Unable to load module " + name);
+			return false;
+		}
+
+		if (!runGuarded(name, target.init, target, args || [])) {
+			return false;
+		}
+
+		setState(name, 'initialised');
+		return true;
+	};
+
+	/**
+	 * @private
+	 * @param {String} name A package name
+	 * @returns {Object} The jQuery Deferred resolved when the module is initialised
+	 */
+	function getReadyDeferred(name) {
+		if (!readyDeferreds.hasOwnProperty(name)) {
+			readyDeferreds[name] = $.Deferred();
+		}
+		return readyDeferreds[name];
+	}
+
+	/**
+	 * Moves a module to a new lifecycle state and settles its ready() promise if it has initialised or failed.
+	 * @private
+	 * @param {String} name A package name
+	 * @param {String} state registered, loading, initialised, failed or destroyed
+	 * @param {Error} [error] Why the module failed
+	 */
+	function setState(name, state, error) {
+		lifecycle[name] = {
+			state: state,
+			error: error || null,
+			time: new Date()
+		};
+
+		if (state === 'initialised') {
+			getReadyDeferred(name).resolve(module.getNamespacedObject(name));
+		} else if (state === 'failed') {
+			getReadyDeferred(name).reject(error);
+		}
+	}
+
+	/**
+	 * Runs one of a module's functions. If it throws, the module is marked as failed and the error is
+	 * logged with the module's name instead of stopping whatever else is booting.
+	 * @private
+	 * @param {String} name The module's package name
+	 * @param {Function} fn
+	 * @param {Object} context
+	 * @param {Array} args
+	 * @returns {Boolean} Whether or not fn ran without throwing
+	 */
+	function runGuarded(name, fn, context, args) {
+		try {
+			fn.apply(context, args);
+			return true;
+		} catch (e) {
+			setState(name, 'failed', e);
+			log.error("Error initializing " + name + ": " + e.message, e);
+			return false;
+		}
+	}
+
+	/**
+	 * The section controller and page actions run by the last call to initPage(),
+	 * kept so destroyPage() can undo them.
+	 * @private
+	 */
+	var activePage = null;
+
+	/**
+	 * @method initPage
+	 * @memberof HBS
+	 * @desc Initializes a page based on two HTML data attributes, data-section and data-page,
+	 * located on the body element. <b>data-section</b> defines a Javascript file to be loaded using
+	 * require.js notation (dir/subdir/file). This file is expected to act as a "section controller"
+	 * and to load common scripts and initialize common functionality for a group of related pages.
+	 * If the loaded JS file contains an init() function, it will be run automatically.
+	 * <b>data-page</b> is optional and defines one or more space-separated page-level functions to run,
+	 * in order. If data-location is "com/sections/products", data-action might be "productDetail reviews",
+	 * in which case HanBootStrapper will look for productDetail() and reviews() functions in the loaded
+	 * JS file and run them.
+	 * <b>data-async-script</b> is optional and lists one or more space-separated scripts to load, in order,
+	 * before the section controller is initialized. It is used when data-autoload is set or async is true.
+	 * @param {Boolean} [async=false] If true, loads the scripts associated with data-async-script
+	 * @param {Boolean} [afterAsyncLoad=false] If true, suppresses asynchronous loading to prevent an infinite loop.
+	 * Passed by autoLoadScript().
+	 */
+	module.initPage = function (async, afterAsyncLoad) {
+		var body = document.body,
+			section = body.getAttribute('data-section'),
+			pages = module.splitList(body.getAttribute('data-page')),
+			asyncScript = body.getAttribute('data-async-script'),
+			autoLoadScript = body.getAttribute('data-autoload') != null || async === true;
+		var loadedSection = module.getNamespacedObject(section);
+
+		if (autoLoadScript === true && asyncScript && !loadedSection && afterAsyncLoad !== true) {
+			setState(section, 'loading');
+			module.autoLoadScript(asyncScript).then(function() {
+				module.initPage(false, true);
+			}, function(error) {
+				setState(section, 'failed', error);
+				log.error("Unable to load module " + section, error);
+			});
+			return;
+		}
+
+		if (section && loadedSection != null) {
+			runPage(section, loadedSection, pages, []);
+		} else {
+			setState(section, 'failed', new Error("Unable to load module " + section));
+			log.error("Unable to load module " + section);
+		}
+	};
+
+	/**
+	 * @method destroyPage
+	 * @memberof HBS
+	 * @desc Tears down the page set up by the last call to initPage() or by the router. If the section controller
+	 * contains a destroy() function (or teardown(), if it has no destroy()), it is run with the
+	 * array of page actions that were initialized. Use this before swapping page content so the
+	 * next initPage() starts from a clean state.
+	 * @returns {Boolean} Whether or not there was an initialized page to destroy
+	 */
+	module.destroyPage = function() {
+		var page = activePage,
+			teardown;
+
+		if (page === null) {
+			return false;
+		}
+
+		activePage = null;
+		teardown = page.controller.destroy || page.controller.teardown;
+		if (typeof(teardown) === 'function' && !runGuarded(page.section, teardown, page.controller, [page.pages.slice()])) {
+			return true;
+		}
+
+		setState(page.section, 'destroyed');
+		return true;
+	};
+
+	/**
+	 * Runs a section controller's init() function and then its page functions, and records them as the
+	 * active page for destroyPage(). If init() throws, the page functions are skipped; if a page function
+	 * throws, the rest still run. Either way the controller is marked as failed.
+	 * @private
+	 * @param {String} section The section controller's package name
+	 * @param {Object} controller The section controller
+	 * @param {Array} pages Page function names, in the order to run them
+	 * @param {Array} args Arguments for init() and each page function
+	 */
+	function runPage(section, controller, pages, args) {
+		var succeeded = true;
+
+		activePage = {
+			section: section,
+			controller: controller,
+			pages: pages
+		};
+
+		if (controller.hasOwnProperty('init') && !runGuarded(section, controller.init, controller, args)) {
+			return;
+		}
+
+		for (var i = 0; i < pages.length; i++) {
+			if (typeof(controller[pages[i]]) === 'function') {
+				succeeded = runGuarded(section, controller[pages[i]], controller, args) && succeeded;
+			}
+		}
+
+		if (succeeded) {
+			setState(section, 'initialised');
+		}
+	}
+
+	/**
+	 * @private
+	 * @memberof HBS
+	 * @param {String} list A space-separated attribute value, e.g. data-page or data-async-script
+	 * @returns {Array} The list's entries, in order, with empty entries removed
+	 */
+	module.splitList = function(list) {
+		var entries = [],
+			parts = (typeof(list) === 'string') ? list.split(/\s+/) : [];
+
+		for (var i = 0; i < parts.length; i++) {
+			if (parts[i] !== '') {
+				entries.push(parts[i]);
+			}
+		}
+
+		return entries;
+	};
+
+	/**
+	 * Every module instance created by initModules(), as {element, name, instance} records.
+	 * @private
+	 */
+	var moduleRegistry = [];
+
+	/**
+	 * Elements whose modules are waiting for their data-module-load trigger or loading their scripts.
+	 * @private
+	 */
+	var lazyElements = [];
+
+	/**
+	 * Elements waiting to scroll into view, when there is no IntersectionObserver to watch them.
+	 * @private
+	 */
+	var visibilityQueue = [];
+
+	/**
+	 * The shared IntersectionObserver for data-module-load="visible", created on first use.
+	 * @private
+	 */
+	var visibilityObserver = null;
+
+	/**
+	 * checkVisibility(), throttled for the scroll and resize events that run it when there is no
+	 * IntersectionObserver.
+	 * @private
+	 */
+	var throttledCheckVisibility = throttle(checkVisibility, 100);
+
+	/**
+	 * @method initModules
+	 * @memberof HBS
+	 * @desc Scans <b>root</b> for elements with a data-module attribute and bootstraps each one.
+	 * The attribute holds a dot-separated package name (e.g. HAN.widgets.Leaderboard) which is
+	 * resolved with getNamespacedObject(). Constructor functions are instantiated with
+	 * new Module(element, options); plain objects have their init(element, options) function run.
+	 * <b>options</b> holds the element's other data-* attributes, camel-cased and parsed by jQuery
+	 * (data-page-size="10" becomes {pageSize: 10}). Elements that have already been bootstrapped
+	 * are skipped, so it is safe to scan the same markup more than once.
+	 * <br><br>
+	 * Modules can be loaded lazily by adding <b>data-module-load</b>: "visible" waits until the element
+	 * scrolls into view, "idle" waits until the browser is idle after the page loads, and "click" waits
+	 * for the element to be clicked. <b>data-module-script</b> optionally lists space-separated scripts
+	 * to load with autoLoadScript() when the trigger fires, before the module is bootstrapped.
+	 * <br><br>
+	 * Every plugin registered with plugin() is also applied to the elements under <b>root</b> that match its
+	 * selector. Call initModules() again on markup added to the page later, such as AJAX responses, to
+	 * bootstrap its modules and plugins, and destroyModules() on markup before removing it.
+	 * @param {Element|jQuery} [root=document] The element to scan. The root itself is included.
+	 * @returns {Array} The module instances created by this scan. Lazy modules and plugins aren't included.
+	 */
+	module.initModules = function(root) {
+		var $elements = $(root || document).find('[data-module]').addBack('[data-module]'),
+			created = [];
+
+		$elements.each(function() {
+			var instance;
+
+			if (module.getModule(this) !== null || $.inArray(this, lazyElements) !== -1) {
+				return;
+			}
+
+			if (this.getAttribute('data-module-load')) {
+				deferModule(this);
+				return;
+			}
+
+			instance = bootstrapModule(this);
+			if (instance !== null) {
+				created.push(instance);
+			}
+		});
+
+		for (var name in plugins) {
+			if (plugins.hasOwnProperty(name)) {
+				applyPlugin(plugins[name], root || document);
+			}
+		}
+
+		return created;
+	};
+
+	/**
+	 * @method destroyModules
+	 * @memberof HBS
+	 * @desc Tears down everything initModules() set up under <b>root</b>. Module instances have their destroy()
+	 * function run if they have one, plugins have theirs run, and lazy modules stop waiting for their trigger.
+	 * The elements can then be removed, or bootstrapped again by another initModules().
+	 * @param {Element|jQuery} [root=document] The element to tear down. The root itself is included.
+	 */
+	module.destroyModules = function(root) {
+		var rootElement = $(root || document)[0],
+			record,
+			i;
+
+		for (i = moduleRegistry.length - 1; i >= 0; i--) {
+			record = moduleRegistry[i];
+			if (isWithin(record.element, rootElement)) {
+				moduleRegistry.splice(i, 1);
+				if (typeof(record.instance.destroy) !== 'function' ||
+					runGuarded(record.name, record.instance.destroy, record.instance, [record.element])) {
+					setState(record.name, 'destroyed');
+				}
+			}
+		}
+
+		for (i = appliedPlugins.length - 1; i >= 0; i--) {
+			record = appliedPlugins[i];
+			if (isWithin(record.element, rootElement)) {
+				appliedPlugins.splice(i, 1);
+				if (typeof(record.plugin.destroy) === 'function') {
+					runGuarded('plugin:' + record.plugin.name, record.plugin.destroy, record.plugin, [record.element, record.state]);
+				}
+			}
+		}
+
+		for (i = lazyElements.length - 1; i >= 0; i--) {
+			if (isWithin(lazyElements[i], rootElement)) {
+				$(lazyElements[i]).off('.hbsModuleLoad');
+				if (visibilityObserver !== null) {
+					visibilityObserver.unobserve(lazyElements[i]);
+				}
+				if ($.inArray(lazyElements[i], visibilityQueue) !== -1) {
+					visibilityQueue.splice($.inArray(lazyElements[i], visibilityQueue), 1);
+					if (visibilityQueue.length === 0) {
+						$(window).off('.hbsModuleLoad');
+					}
+				}
+				lazyElements.splice(i, 1);
+			}
+		}
+	};
+
+	/**
+	 * Plugins registered with plugin(), keyed by name.
+	 * @private
+	 */
+	var plugins = {};
+
+	/**
+	 * Every element a plugin has been applied to, as {plugin, element, state} records.
+	 * @private
+	 */
+	var appliedPlugins = [];
+
+	/**
+	 * @method plugin
+	 * @memberof HBS
+	 * @desc Registers a jQuery plugin (or any other DOM behaviour) as a managed module, so it is applied
+	 * by initModules() instead of running its own side effects when its script is parsed. Its init()
+	 * runs once for each element matching its selector, with the element's data-* attributes as options,
+	 * and whatever it returns is passed back to its destroy() when destroyModules() tears the element down.
+	 * @example
+	 * HBS.plugin('equalHeights', {
+	 *     selector: '[data-equal]',
+	 *     init: function(element, options) {
+	 *         $(element).find(options.equal).equalHeights();
+	 *     }
+	 * });
+	 * @param {String} name The plugin's name
+	 * @param {Object} definition
+	 * @param {String} definition.selector The elements to apply the plugin to
+	 * @param {Function} definition.init Run with each element and its options
+	 * @param {Function} [definition.destroy] Run with each element and init()'s return value
+	 * @returns {Object} The registered plugin
+	 */
+	module.plugin = function(name, definition) {
+		if (typeof(definition.selector) !== 'string' || typeof(definition.init) !== 'function') {
+			throw new Error("HBS.plugin: " + name + " needs a selector and an init function");
+		}
+
+		if (plugins.hasOwnProperty(name)) {
+			log.warn("Replacing plugin " + name);
+		}
+
+		plugins[name] = $.extend({}, definition, {name: name});
+		setState('plugin:' + name, 'registered');
+		return plugins[name];
+	};
+
+	/**
+	 * Applies a plugin to every matching element under root that it hasn't been applied to yet.
+	 * @private
+	 * @param {Object} plugin
+	 * @param {Element|jQuery} root
+	 */
+	function applyPlugin(plugin, root) {
+		var failed = false;
+
+		$(root).find(plugin.selector).addBack(plugin.selector).each(function() {
+			var element = this,
+				state;
+
+			for (var i = 0; i < appliedPlugins.length; i++) {
+				if (appliedPlugins[i].plugin === plugin && appliedPlugins[i].element === element) {
+					return;
+				}
+			}
+
+			try {
+				state = plugin.init(element, module.getModuleOptions(element));
+			} catch (e) {
+				failed = true;
+				setState('plugin:' + plugin.name, 'failed', e);
+				log.error("Error initializing plugin " + plugin.name + ": " + e.message, e);
+				return;
+			}
+
+			appliedPlugins.push({
+				plugin: plugin,
+				element: element,
+				state: state
+			});
+		});
+
+		if (!failed) {
+			setState('plugin:' + plugin.name, 'initialised');
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {Element} element
+	 * @param {Element} root
+	 * @returns {Boolean} Whether element is root or one of its descendants
+	 */
+	function isWithin(element, root) {
+		return element === root || $.contains(root, element);
+	}
+
+	/**
+	 * Resolves and instantiates the module named by an element's data-module attribute.
+	 * @private
+	 * @param {Element} element
+	 * @returns {Object} The module instance, or null if the module couldn't be found or threw
+	 */
+	function bootstrapModule(element) {
+		var name = element.getAttribute('data-module'),
+			Module = module.getNamespacedObject(name),
+			instance;
+
+		if (typeof(Module) !== 'function' && !(Module && typeof(Module.init) === 'function')) {
+			setState(name, 'failed', new Error("Unable to load module " + name));
+			log.error("Unable to load module " + name);
+			return null;
+		}
+
+		try {
+			if (typeof(Module) === 'function') {
+				instance = new Module(element, module.getModuleOptions(element));
+			} else {
+				instance = Module.init(element, module.getModuleOptions(element)) || Module;
+			}
+		} catch (e) {
+			setState(name, 'failed', e);
+			log.error("Error initializing " + name + ": " + e.message, e);
+			return null;
+		}
+
+		setState(name, 'initialised');
+
+		moduleRegistry.push({
+			element: element,
+			name: name,
+			instance: instance
+		});
+		return instance;
+	}
+
+	/**
+	 * Waits for an element's data-module-load trigger before loading its module.
+	 * @private
+	 * @param {Element} element
+	 */
+	function deferModule(element) {
+		var trigger = element.getAttribute('data-module-load'),
+			requestIdle = window.requestIdleCallback || function(callback) {
+				setTimeout(callback, 1);
+			};
+
+		lazyElements.push(element);
+
+		if (trigger === 'visible') {
+			watchVisibility(element);
+		} else if (trigger === 'idle') {
+			if (document.readyState === 'complete') {
+				requestIdle(function() { loadLazyModule(element); });
+			} else {
+				$(window).one('load', function() {
+					requestIdle(function() { loadLazyModule(element); });
+				});
+			}
+		} else if (trigger === 'click') {
+			$(element).one('click.hbsModuleLoad', function() {
+				loadLazyModule(element);
+			});
+		} else {
+			log.warn("Unknown data-module-load trigger " + trigger + " for " + element.getAttribute('data-module') + "; loading it now");
+			loadLazyModule(element);
+		}
+	}
+
+	/**
+	 * Loads a deferred module's scripts, if it has any, and bootstraps it. An element that destroyModules()
+	 * has reached first, before its trigger fired or while its scripts were loading, is left alone.
+	 * @private
+	 * @param {Element} element
+	 */
+	function loadLazyModule(element) {
+		var name = element.getAttribute('data-module'),
+			scripts = element.getAttribute('data-module-script');
+
+		// Takes the element off the lazy list, unless it has already been destroyed or loaded
+		function done() {
+			var index = $.inArray(element, lazyElements);
+
+			if (index === -1) {
+				return false;
+			}
+			lazyElements.splice(index, 1);
+			return true;
+		}
+
+		if (!scripts) {
+			if (done()) {
+				bootstrapModule(element);
+			}
+			return;
+		}
+
+		if ($.inArray(element, lazyElements) === -1) {
+			return;
+		}
+
+		setState(name, 'loading');
+		module.autoLoadScript(scripts).then(function() {
+			if (done()) {
+				bootstrapModule(element);
+			}
+		}, function(error) {
+			if (done()) {
+				setState(name, 'failed', error);
+				log.error("Unable to load module " + name, error);
+			}
+		});
+	}
+
+	/**
+	 * Loads an element's module once it scrolls into view, using an IntersectionObserver where there is
+	 * one and a throttled scroll and resize check otherwise.
+	 * @private
+	 * @param {Element} element
+	 */
+	function watchVisibility(element) {
+		if (window.IntersectionObserver) {
+			if (visibilityObserver === null) {
+				visibilityObserver = new IntersectionObserver(function(entries) {
+					for (var i = 0; i < entries.length; i++) {
+						if (entries[i].isIntersecting) {
+							visibilityObserver.unobserve(entries[i].target);
+							loadLazyModule(entries[i].target);
+						}
+					}
+				});
+			}
+			visibilityObserver.observe(element);
+			return;
+		}
+
+		visibilityQueue.push(element);
+		if (visibilityQueue.length === 1) {
+			$(window).on('scroll.hbsModuleLoad resize.hbsModuleLoad', throttledCheckVisibility);
+		}
+		checkVisibility();
+	}
+
+	/**
+	 * Loads the module of every queued element that is now in view.
+	 * @private
+	 */
+	function checkVisibility() {
+		var viewportHeight = window.innerHeight || document.documentElement.clientHeight,
+			rect;
+
+		for (var i = visibilityQueue.length - 1; i >= 0; i--) {
+			rect = visibilityQueue[i].getBoundingClientRect();
+			if (rect.bottom >= 0 && rect.top <= viewportHeight) {
+				loadLazyModule(visibilityQueue.splice(i, 1)[0]);
+			}
+		}
+
+		if (visibilityQueue.length === 0) {
+			$(window).off('.hbsModuleLoad');
+		}
+	}
+
+	/**
+	 * Wraps a function so it runs at most once every <b>wait</b> milliseconds. A call made during the wait
+	 * runs once it is over, so the last call is never dropped.
+	 * @private
+	 * @param {Function} fn
+	 * @param {Number} wait Milliseconds
+	 * @returns {Function}
+	 */
+	function throttle(fn, wait) {
+		var last = 0,
+			timer = null;
+
+		function run() {
+			timer = null;
+			last = new Date().getTime();
+			fn();
+		}
+
+		return function() {
+			var remaining = wait - (new Date().getTime() - last);
+
+			if (remaining <= 0) {
+				clearTimeout(timer);
+				run();
+			} else if (timer === null) {
+				timer = setTimeout(run, remaining);
+			}
+		};
+	}
+
+	/**
+	 * @memberof HBS
+	 * @param {Element} element An element bootstrapped by initModules()
+	 * @returns {Object} The module instance attached to the element, or null if there isn't one
+	 */
+	module.getModule = function(element) {
+		for (var i = 0; i < moduleRegistry.length; i++) {
+			if (moduleRegistry[i].element === element) {
+				return moduleRegistry[i].instance;
+			}
+		}
+
+		return null;
+	};
+
+	/**
+	 * @private
+	 * @memberof HBS
+	 * @param {Element} element An element with a data-module attribute
+	 * @returns {Object} The element's data-* attributes, minus data-module and its data-module-load
+	 * and data-module-script settings, as a new object
+	 */
+	module.getModuleOptions = function(element) {
+		var options = $.extend({}, $(element).data());
+
+		delete options.module;
+		delete options.moduleLoad;
+		delete options.moduleScript;
+		return options;
+	};
+
+	/**
+	 * Promises for every script requested through loadScript(), keyed by resolved URL.
+	 * Failed loads are removed so they can be retried.
+	 * @private
+	 */
+	var scriptCache = {};
+
+	/**
+	 * Asynchronously loads one or more scripts, one after another in the order given, so
+	 * each script can depend on the ones before it. Used by initPage() to load the section
+	 * controller's scripts before initializing it.
+	 * @internal
+	 * @param {String|Array} scripts A script file, a space-separated list of script files or an array of script files
+	 * @param {Object} [options] Options passed to loadScript()
+	 * @returns {Promise} A jQuery promise resolved with the array of loaded URLs, or rejected with the
+	 * first error and the URL that failed
+	 */
+	module.autoLoadScript = function(scripts, options) {
+		var queue = (typeof(scripts) === 'string') ? module.splitList(scripts) : (scripts || []).slice(),
+			loaded = [],
+			deferred = $.Deferred();
+
+		log.debug("Beginning asynchronous load of " + queue.join(', '));
+
+		(function loadNext() {
+			if (queue.length === 0) {
+				deferred.resolve(loaded);
+				return;
+			}
+
+			module.loadScript(queue.shift(), options).then(function(src) {
+				loaded.push(src);
+				loadNext();
+			}, deferred.reject);
+		}());
+
+		return deferred.promise();
+	};
+
+	/**
+	 * @method loadScript
+	 * @memberof HBS
+	 * @desc Loads a single script by appending a script element to the head. Scripts are cached by
+	 * their getScriptPath() URL, so requesting a script that is loading or has loaded returns the
+	 * same promise instead of adding it to the page twice.
+	 * @param {String} script A script file to load
+	 * @param {Object} [options]
+	 * @param {Number} [options.timeout] Milliseconds to wait before giving up.
+	 * Defaults to the scriptTimeout setting. 0 waits forever.
+	 * @returns {Promise} A jQuery promise resolved with the script's URL, or rejected with an Error and the URL
+	 */
+	module.loadScript = function(script, options) {
+		var src = module.getScriptPath(script),
+			timeout = (options && options.timeout != null) ? options.timeout : module.config().scriptTimeout,
+			head = document.getElementsByTagName('head')[0],
+			deferred,
+			timer,
+			s;
+
+		if (scriptCache.hasOwnProperty(src)) {
+			return scriptCache[src];
+		}
+
+		deferred = $.Deferred();
+		scriptCache[src] = deferred.promise();
+
+		function complete(error) {
+			clearTimeout(timer);
+			s.onload = s.onerror = s.onreadystatechange = null;
+
+			if (error) {
+				delete scriptCache[src];
+				if (s.parentNode) {
+					s.parentNode.removeChild(s);
+				}
+				deferred.reject(error, src);
+			} else {
+				// The script may have added a dependency with a plain global instead of namespace()
+				resolveDefinitions();
+				deferred.resolve(src);
+			}
+		}
+
+		s = document.createElement("script");
+		s.type = "text/javascript";
+		s.onload = function() { complete(); };
+		s.onerror = function() { complete(new Error("Unable to load " + src)); };
+		// IE8 and below only report progress through readyState
+		s.onreadystatechange = function() {
+			if (s.readyState === 'loaded' || s.readyState === 'complete') {
+				complete();
+			}
+		};
+		s.src = src;
+
+		if (timeout > 0) {
+			timer = setTimeout(function() {
+				complete(new Error("Timed out after " + timeout + "ms loading " + src));
+			}, timeout);
+		}
+
+		head.appendChild(s);
+		return scriptCache[src];
+	};
+
+	/**
+	 * Routes added with HBS.router.route(), in the order they were added.
+	 * @private
+	 */
+	var routes = [];
+
+	/**
+	 * The router's state while it is started.
+	 * @private
+	 */
+	var routerState = null;
+
+	/**
+	 * @namespace HBS.router
+	 * @desc Initializes section controllers from the URL instead of from body attributes, so a site can
+	 * move between pages without full page loads. Each route maps a URL pattern to a section controller
+	 * and page functions, looked up with getNamespacedObject() just like initPage(). When the URL changes,
+	 * the previous route's page is torn down with destroyPage() before the next route's controller runs.
+	 * <br><br>
+	 * Patterns are paths with named parameters (/teams/:id) and optional trailing splats (/files/*path).
+	 * A leading # is allowed and ignored. The router matches patterns against the hash when it holds a
+	 * route (#/challenge/october) and against the path otherwise, so the same routes work with pushState
+	 * and with the hashchange fallback used by browsers without it.
+	 * <br><br>
+	 * The controller's init() and page functions are called with two arguments: the named parameters and
+	 * the parsed query string. After a route runs, "route:changed" is triggered on HBS.events.
+	 * @example
+	 * HBS.router
+	 *     .route('#/challenge/:month', 'HAN.challenge', 'month')
+	 *     .route('/teams/:id', 'HAN.teams', 'detail roster')
+	 *     .start({pushState: true});
+	 */
+	module.router = {};
+
+	/**
+	 * @memberof HBS.router
+	 * @param {String} pattern A URL pattern, e.g. /teams/:id
+	 * @param {String} section The section controller's package name
+	 * @param {String} [pages] Space-separated page functions to run after the controller's init()
+	 * @returns {Object} HBS.router, for chaining
+	 */
+	module.router.route = function(pattern, section, pages) {
+		var names = [],
+			source = pattern.replace(/^#/, '')
+				.replace(/[\-\[\]{}()+?.\\^$|]/g, '\\$&')
+				.replace(/\*(\w+)$/, function(match, name) {
+					names.push(name);
+					return '(.*)';
+				})
+				.replace(/:(\w+)/g, function(match, name) {
+					names.push(name);
+					return '([^/]+)';
+				});
+
+		routes.push({
+			pattern: pattern,
+			regex: new RegExp('^' + source + '/?$'),
+			params: names,
+			section: section,
+			pages: module.splitList(pages)
+		});
+
+		return module.router;
+	};
+
+	/**
+	 * @memberof HBS.router
+	 * @desc Starts listening for URL changes and runs the route for the current URL.
+	 * @param {Object} [options]
+	 * @param {Boolean} [options.pushState=false] Use history.pushState() for navigate() where the browser
+	 * supports it. Hash URLs are used otherwise.
+	 * @param {String} [options.root=/] The path the site is served from. Path routes are matched relative to it.
+	 * @returns {Boolean} Whether or not a route matched the current URL
+	 */
+	module.router.start = function(options) {
+		options = options || {};
+		if (routerState !== null) {
+			module.router.stop();
+		}
+
+		routerState = {
+			pushState: !!options.pushState && !!(window.history && window.history.pushState),
+			root: ('/' + (options.root || '/') + '/').replace(/\/+/g, '/'),
+			fragment: null,
+			timer: null
+		};
+
+		if (routerState.pushState) {
+			$(window).on('popstate.hbsRouter', module.router.check);
+		}
+		if ('onhashchange' in window && (document.documentMode === undefined || document.documentMode > 7)) {
+			$(window).on('hashchange.hbsRouter', module.router.check);
+		} else {
+			routerState.timer = setInterval(module.router.check, 100);
+		}
+
+		$(document).on('click.hbsRouter', 'a[data-route]', function(e) {
+			// Leave middle and modified clicks to the browser, so they can still open a new tab or window
+			if (e.which > 1 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+				return;
+			}
+			e.preventDefault();
+			module.router.navigate(this.getAttribute('href'));
+		});
+
+		return module.router.check();
+	};
+
+	/**
+	 * @memberof HBS.router
+	 * @desc Stops listening for URL changes. The current page is left in place.
+	 */
+	module.router.stop = function() {
+		if (routerState === null) {
+			return;
+		}
+
+		clearInterval(routerState.timer);
+		$(window).off('.hbsRouter');
+		$(document).off('.hbsRouter');
+		routerState = null;
+	};
+
+	/**
+	 * @memberof HBS.router
+	 * @desc Changes the URL and runs the matching route.
+	 * @param {String} fragment A route URL, e.g. /teams/3?tab=roster or #/teams/3
+	 * @param {Object} [options]
+	 * @param {Boolean} [options.replace=false] Replace the current history entry instead of adding one
+	 * @returns {Boolean} Whether or not a route matched
+	 */
+	module.router.navigate = function(fragment, options) {
+		fragment = fragment.replace(/^#/, '');
+		if (fragment.charAt(0) !== '/') {
+			fragment = '/' + fragment;
+		}
+
+		if (routerState === null) {
+			log.warn("HBS.router.navigate called before HBS.router.start");
+			return false;
+		}
+
+		if (routerState.pushState) {
+			window.history[(options && options.replace) ? 'replaceState' : 'pushState']({}, document.title, routerState.root + fragment.substring(1));
+		} else if (options && options.replace) {
+			document.location.replace(document.location.href.replace(/#.*$/, '') + '#' + fragment);
+		} else {
+			document.location.hash = fragment;
+		}
+
+		return module.router.check();
+	};
+
+	/**
+	 * @memberof HBS.router
+	 * @desc Runs the route for the current URL if it has changed since the last check. Called
+	 * automatically when the URL changes.
+	 * @returns {Boolean} Whether or not a route matched the current URL
+	 */
+	module.router.check = function() {
+		var fragment = module.router.getFragment(),
+			match,
+			controller;
+
+		if (routerState === null || fragment === routerState.fragment) {
+			return false;
+		}
+
+		match = module.router.match(fragment);
+		if (match === null) {
+			log.warn("No route matches " + fragment);
+			return false;
+		}
+
+		controller = module.getNamespacedObject(match.route.section);
+		if (!controller) {
+			log.error("Unable to load module " + match.route.section);
+			return false;
+		}
+
+		// Only recorded once there is a controller to run, so a later check() can retry a route whose
+		// controller hadn't been registered yet
+		routerState.fragment = fragment;
+		module.destroyPage();
+		runPage(match.route.section, controller, match.route.pages, [match.params, match.query]);
+		module.events.trigger('route:changed', match.route.pattern, match.params, match.query);
+		return true;
+	};
+
+	/**
+	 * @memberof HBS.router
+	 * @returns {String} The route URL for the current location: the hash if it holds a route, and the
+	 * path relative to the router's root (plus the query string) otherwise
+	 */
+	module.router.getFragment = function() {
+		var hash = document.location.hash.replace(/^#/, ''),
+			root = routerState ? routerState.root : '/',
+			path = document.location.pathname;
+
+		if (hash.charAt(0) === '/') {
+			return hash;
+		}
+
+		if (path.indexOf(root) === 0) {
+			path = path.substring(root.length - 1);
+		}
+
+		return path + document.location.search;
+	};
+
+	/**
+	 * @memberof HBS.router
+	 * @param {String} fragment A route URL, e.g. /teams/3?tab=roster
+	 * @returns {Object} The first matching route with its params and query, or null if nothing matches
+	 */
+	module.router.match = function(fragment) {
+		var parts = fragment.replace(/^#/, '').split('?'),
+			path = parts.shift(),
+			values,
+			params;
+
+		for (var i = 0; i < routes.length; i++) {
+			values = routes[i].regex.exec(path);
+			if (values !== null) {
+				params = {};
+				for (var j = 0; j < routes[i].params.length; j++) {
+					params[routes[i].params[j]] = decodeURIComponent(values[j + 1]);
+				}
+
+				return {
+					route: routes[i],
+					params: params,
+					query: module.router.parseQuery(parts.join('?'))
+				};
+			}
+		}
+
+		return null;
+	};
+
+	/**
+	 * @memberof HBS.router
+	 * @param {String} query A query string, with or without the leading ?
+	 * @returns {Object} The query's values by name. Names that appear more than once have an array of values.
+	 */
+	module.router.parseQuery = function(query) {
+		var values = {},
+			pairs = query.replace(/^\?/, '').split('&'),
+			pair,
+			name,
+			value;
+
+		for (var i = 0; i < pairs.length; i++) {
+			if (pairs[i] === '') {
+				continue;
+			}
+
+			pair = pairs[i].split('=');
+			name = decodeURIComponent(pair.shift().replace(/\+/g, ' '));
+			value = decodeURIComponent(pair.join('=').replace(/\+/g, ' '));
+
+			if (!values.hasOwnProperty(name)) {
+				values[name] = value;
+			} else if ($.isArray(values[name])) {
+				values[name].push(value);
+			} else {
+				values[name] = [values[name], value];
+			}
+		}
+
+		return values;
+	};
+
+	/**
+	 * Every call to namespace(), as arrays of registrations keyed by package name.
+	 * @private
+	 */
+	var namespaceRegistry = {};
+
+	/**
+	 * @method namespace
+	 * @memberof HBS
+	 * @param {string} pkg: A dot-separated package name for your object, e.g. com.myClass.
+	 * Any missing objects from the window object to your class will be created. An error is thrown
+	 * if one of them already exists but isn't an object or function.
+	 * @param {function|object} func: A function or object to be namespaced.
+	 * @param {object} [options]
+	 * @param {boolean} [options.merge=false] Deep-merge func into an object already at pkg instead of replacing it.
+	 * @param {boolean} [options.strict=false] Throw an error instead of replacing something already at pkg.
+	 * @param {string} [options.source] Who is registering func, for namespaces(). Defaults to the running script's URL.
+	 * @desc Namespaces an object by creating or appending it to the chain of objects
+	 * located within a certain package. Replacing an existing object without merge or strict logs a warning.
+	 * @returns {function|object} The object now at pkg
+	 */
+	module.namespace = function (pkg, func, options) {
+		var packageParts = module.getPackageArray(pkg);
+		var target = window;
+		var nextPart;
+		var existing;
+		var merged = false;
+
+		options = options || {};
+		for (var i = 0, max = packageParts.length; i < max; i++) {
+			nextPart = packageParts[i];
+			existing = target[nextPart];
+			if (i === max - 1) {
+				if (typeof(existing) !== 'undefined' && existing !== func) {
+					if (options.merge && isNamespaceObject(existing) && isNamespaceObject(func)) {
+						func = $.extend(true, existing, func);
+						merged = true;
+					} else if (options.strict) {
+						throw new Error("HBS.namespace: " + pkg + " is already defined" + describeRegistrations(pkg));
+					} else {
+						log.warn("Replacing " + pkg + describeRegistrations(pkg));
+					}
+				}
+				target[nextPart] = func;
+			} else {
+				if (typeof(existing) === 'undefined') {
+					existing = target[nextPart] = {};
+				} else if (!isNamespaceObject(existing)) {
+					throw new Error("HBS.namespace: cannot create " + pkg + " because " +
+						packageParts.slice(0, i + 1).join('.') + " is a " + (existing === null ? 'null' : typeof(existing)));
+				}
+				target = existing;
+			}
+		}
+
+		if (packageParts.length > 0) {
+			if (!lifecycle.hasOwnProperty(pkg)) {
+				setState(pkg, 'registered');
+			}
+			namespaceRegistry[pkg] = namespaceRegistry[pkg] || [];
+			namespaceRegistry[pkg].push({
+				source: options.source || getCurrentScript(),
+				merged: merged,
+				time: new Date()
+			});
+		}
+
+		resolveDefinitions();
+		return func;
+	};
+
+	/**
+	 * @method namespaces
+	 * @memberof HBS
+	 * @desc Lists who registered what with namespace(), for debugging. Each package name maps to an array
+	 * of registrations, oldest first, with the source that registered it, whether it was merged and when.
+	 * @returns {Object} A copy of the registry
+	 */
+	module.namespaces = function() {
+		var copy = {};
+
+		for (var pkg in namespaceRegistry) {
+			if (namespaceRegistry.hasOwnProperty(pkg)) {
+				copy[pkg] = $.map(namespaceRegistry[pkg], function(registration) {
+					return $.extend({}, registration);
+				});
+			}
+		}
+
+		return copy;
+	};
+
+	/**
+	 * @private
+	 * @param {*} value
+	 * @returns {Boolean} Whether or not value can hold namespaced members
+	 */
+	function isNamespaceObject(value) {
+		return value !== null && (typeof(value) === 'object' || typeof(value) === 'function');
+	}
+
+	/**
+	 * @private
+	 * @param {String} pkg A package name
+	 * @returns {String} " (registered by a.js, b.js)", or an empty string if nothing has registered pkg
+	 */
+	function describeRegistrations(pkg) {
+		if (!namespaceRegistry.hasOwnProperty(pkg)) {
+			return '';
+		}
+
+		return ' (registered by ' + $.map(namespaceRegistry[pkg], function(registration) {
+			return registration.source;
+		}).join(', ') + ')';
+	}
+
+	/**
+	 * @private
+	 * @returns {String} The URL of the script that is running, or "inline" for a script without one.
+	 * Browsers without document.currentScript report the last script on the page, which is the
+	 * running one while scripts load synchronously.
+	 */
+	function getCurrentScript() {
+		var script = document.currentScript,
+			scripts;
+
+		if (!script) {
+			scripts = document.getElementsByTagName('script');
+			script = scripts[scripts.length - 1];
+		}
+
+		return (script && script.src) ? script.src : 'inline';
+	}
+
+	/**
+	 * Modules registered with define() whose factories have not run yet, keyed by package name.
+	 * @private
+	 */
+	var definitions = {};
+
+	/**
+	 * True while resolveDefinitions() is running, so the namespace() calls it makes don't re-enter it.
+	 * @private
+	 */
+	var resolving = false;
+
+	/**
+	 * @method define
+	 * @memberof HBS
+	 * @param {string} pkg A dot-separated package name for the module, e.g. HAN.main
+	 * @param {Array} [dependencies] Dot-separated package names the module needs, e.g. ['HBS', 'HAN.util.format']
+	 * @param {function} factory A function that receives each dependency, in order, and returns the module
+	 * @desc Declares a module without relying on script order. The factory runs as soon as every dependency
+	 * can be found with getNamespacedObject(), whether the dependency was itself declared with define() or
+	 * added with namespace(), and its return value is namespaced under <b>pkg</b>. Declaring a module that
+	 * would complete a circular chain of dependencies throws an error naming the chain. Modules still
+	 * waiting once the page and any pending scripts have loaded are warned about by verifyDefinitions(),
+	 * and keep waiting for dependencies added by scripts loaded later.
+	 */
+	module.define = function(pkg, dependencies, factory) {
+		var cycle;
+
+		if (typeof(dependencies) === 'function') {
+			factory = dependencies;
+			dependencies = [];
+		}
+
+		if (typeof(pkg) !== 'string' || pkg === '' || typeof(factory) !== 'function') {
+			throw new Error("HBS.define requires a package name and a factory function");
+		}
+
+		if (definitions.hasOwnProperty(pkg)) {
+			throw new Error("HBS.define: " + pkg + " has already been defined");
+		}
+
+		definitions[pkg] = {
+			pkg: pkg,
+			dependencies: dependencies || [],
+			factory: factory
+		};
+
+		cycle = findCircularDependency(pkg, [pkg]);
+		if (cycle !== null) {
+			delete definitions[pkg];
+			throw new Error("HBS.define: circular dependency " + cycle.join(' -> '));
+		}
+
+		setState(pkg, 'registered');
+
+		resolveDefinitions();
 	};
 
 	/**
-	 * @method initPage
+	 * @method verifyDefinitions
 	 * @memberof HBS
-	 * @desc Initializes a page based on two HTML data attributes, data-section and data-page,
-	 * located on the body element. <b>data-section</b> defines a Javascript file to be loaded using
-	 * require.js notation (dir/subdir/file). This file is expected to act as a "section controller"
-	 * and to load common scripts and initialize common functionality for a group of related pages.
-	 * If the loaded JS file contains an init() function, it will be run automatically.
-	 * <b>data-page</b> is optional and defines a second, page-level function to run. If data-location
-	 * is "com/sections/products", data-action might be "productDetail", in which case HanBootStrapper
-	 * will look for a productDetail() function in the loaded JS file and run it.
-	 * @param {Boolean} [async=false] If true, loads the script associated with data-async-script
-	 * @param {Boolean} [afterAsyncLoad=false] If true, suppresses asynchronous loading to prevent an infinite loop.
-	 * Passed by autoLoadScript().
+	 * @desc Logs a warning for every module declared with define() that is still waiting on a missing
+	 * dependency. The modules stay pending, so one whose dependency arrives later, through a lazy
+	 * data-module-script or another loadScript() call, is still defined. Runs automatically once the window
+	 * has loaded and every script requested through loadScript() has loaded or failed.
 	 */
-	module.initPage = function (async, afterAsyncLoad) {
-		var body = document.body,
-			section = body.getAttribute('data-section'),
-			page = body.getAttribute('data-page'),
-			asyncScript = body.getAttribute('data-async-script'),
-			autoLoadScript = body.getAttribute('data-autoload') != null || async === true;
-		var loadedSection = module.getNamespacedObject(section);
+	module.verifyDefinitions = function() {
+		for (var pkg in definitions) {
+			if (definitions.hasOwnProperty(pkg)) {
+				log.warn("HBS.define: " + pkg + " is still waiting for " +
+					getMissingDependencies(definitions[pkg]).join(', '));
+			}
+		}
+	};
+
+	/**
+	 * Runs the factory of every pending definition whose dependencies are all available, repeating
+	 * until no more can be resolved.
+	 * @private
+	 */
+	function resolveDefinitions() {
+		var resolved = true,
+			definition,
+			pkg;
 
-		if ( autoLoadScript === true && asyncScript && typeof( loadedSection !== 'function') && afterAsyncLoad !== true) {
-			module.autoLoadScript(asyncScript);
+		if (resolving) {
 			return;
 		}
 
-		if (section && loadedSection != null) {
-			if (loadedSection.hasOwnProperty('init')) {
-				loadedSection.init();
+		resolving = true;
+		try {
+			while (resolved) {
+				resolved = false;
+				for (pkg in definitions) {
+					if (definitions.hasOwnProperty(pkg) && getMissingDependencies(definitions[pkg]).length === 0) {
+						definition = definitions[pkg];
+						delete definitions[pkg];
+						runDefinition(definition);
+						resolved = true;
+					}
+				}
 			}
+		} finally {
+			resolving = false;
+		}
+	}
+
+	/**
+	 * Runs a definition's factory and namespaces the module it returns. A factory that throws marks the
+	 * module as failed without stopping other definitions from resolving.
+	 * @private
+	 * @param {Object} definition A pending definition
+	 */
+	function runDefinition(definition) {
+		var args = [],
+			result;
+
+		for (var i = 0; i < definition.dependencies.length; i++) {
+			args.push(module.getNamespacedObject(definition.dependencies[i]));
+		}
 
-			if (page && typeof(loadedSection[page]) === 'function') {
-				loadedSection[page]();
+		try {
+			result = definition.factory.apply(window, args);
+			if (typeof(result) === 'undefined') {
+				throw new Error("HBS.define: the factory for " + definition.pkg + " did not return a module");
 			}
+		} catch (e) {
+			setState(definition.pkg, 'failed', e);
+			log.error("Error defining " + definition.pkg + ": " + e.message, e);
+			return;
+		}
 
-		} else {
-			console.log("Unable to load module " + section);
+		module.namespace(definition.pkg, result);
+		if (!result || typeof(result.init) !== 'function') {
+			setState(definition.pkg, 'initialised');
 		}
-	};
+	}
 
 	/**
-	 * Attempts to asynchronously load the section controller script and then re-runs
-	 * module.initPage().
-	 * @internal
-	 * @param {String} script A script file to load
+	 * @private
+	 * @param {Object} definition A pending definition
+	 * @returns {Array} The definition's dependencies that can't be found yet
 	 */
-	module.autoLoadScript = function(script) {
-		var script = module.getScriptPath(script);
+	function getMissingDependencies(definition) {
+		var missing = [],
+			found;
 
-		console.log("Beginning asynchronous load of " + script);
-		var s = document.createElement("script");
-		s.type = "text/javascript";
-		s.onload = function() { module.initPage(false, true); };
-		s.onerror = function() { console.log("Unable to load " + script); };
-		s.src = script;
-		document.head.appendChild(s);
-	};
+		for (var i = 0; i < definition.dependencies.length; i++) {
+			found = module.getNamespacedObject(definition.dependencies[i]);
+			if (typeof(found) === 'undefined' || found === null || definitions.hasOwnProperty(definition.dependencies[i])) {
+				missing.push(definition.dependencies[i]);
+			}
+		}
+
+		return missing;
+	}
 
 	/**
-	 * @method namespace
-	 * @memberof HBS
-	 * @param {string} pkg: A dot-separated package name for your object, e.g. com.myClass.
-	 * Any missing objects from the window object to your class will be created.
-	 * @param {function|object} func: A function or object to be namespaced.
-	 * @desc Namespaces an object by creating or appending it to the chain of objects
-	 * located within a certain package.
+	 * Follows pending definitions' dependencies looking for a path back to the start of <b>chain</b>.
+	 * @private
+	 * @param {string} pkg The package to search from
+	 * @param {Array} chain The packages visited so far, starting with the one being checked
+	 * @returns {Array} The circular chain of package names, or null if there isn't one
 	 */
-	module.namespace = function (pkg, func) {
-		var packageParts = module.getPackageArray(pkg);
-		var target = window;
-		var nextPart;
+	function findCircularDependency(pkg, chain) {
+		var dependencies = definitions[pkg].dependencies,
+			cycle;
 
-		for (var i = 0, max = packageParts.length; i < max; i++) {
-			nextPart = packageParts[i];
-			target[nextPart] = target[nextPart] || {};
-			if (i === max - 1) {
-				target[nextPart] = func;
-			} else {
-				target = target[nextPart];
+		for (var i = 0; i < dependencies.length; i++) {
+			if (dependencies[i] === chain[0]) {
+				return chain.concat(dependencies[i]);
+			}
+
+			if (definitions.hasOwnProperty(dependencies[i]) && $.inArray(dependencies[i], chain) === -1) {
+				cycle = findCircularDependency(dependencies[i], chain.concat(dependencies[i]));
+				if (cycle !== null) {
+					return cycle;
+				}
 			}
 		}
-	};
+
+		return null;
+	}
 
 	/**
 	 * @method extend
@@ -119,74 +1975,497 @@
 	 * @param {object, function} parent: An object or class to be used as an inheritance
 	 * prototype. The child object will be the same type (object or class) as the parent.
 	 * @param {function} constructor: An optional function to be the constructor of your
-	 * child class. Constructor is ignored if parent is of type {object}.
+	 * child class. Any members already on its prototype are kept. If it is omitted, the child
+	 * class calls the parent's constructor. Constructor is ignored if parent is of type {object}.
+	 * @returns {object, function} A child class whose prototype inherits from the parent's, or
+	 * a new object that inherits from the parent object.
 	 */
 	module.extend = function (parent, _constructor) {
 		var child;
-		var tmp;
+		var ownMembers;
 
 		if (typeof(parent) === 'function') {
-			var tmp = function () {
+			child = _constructor || function () {
+				return parent.apply(this, arguments);
 			};
-			tmp.prototype = parent.prototype;
-			child = _constructor;
-			if ('create' in Object) {
-				child.prototype = Object.create(parent.prototype);
-			} else {
-				child.prototype = new parent(Array.prototype.slice.call, arguments);
-			}
+			ownMembers = child.prototype;
+			child.prototype = createObject(parent.prototype);
+			copyMembers(child.prototype, ownMembers);
+			child.prototype.constructor = child;
 
 			child.prototype._super = parent.prototype;
 			return child;
 		}
 
-		else if (typeof(parent) === 'object') {
-			child = {};
-			child.prototype = parent;
-			return child;
+		else if (typeof(parent) === 'object' && parent !== null) {
+			return createObject(parent);
+		}
+	};
+
+	/**
+	 * @class HBS.Class
+	 * @desc The root of a class hierarchy built with HBS.Class.extend(). Constructing any class in the
+	 * hierarchy runs its init() function, if it has one, with the constructor's arguments.
+	 * @example
+	 * var Widget = HBS.Class.extend({
+	 *     mixins: [HBS.Events],
+	 *     init: function(element, options) {
+	 *         this.element = element;
+	 *     }
+	 * }, {
+	 *     create: function(element) { return new this(element); }
+	 * });
+	 *
+	 * var Leaderboard = Widget.extend({
+	 *     init: function(element, options) {
+	 *         this._super(element, options);
+	 *         this.render();
+	 *     }
+	 * });
+	 */
+	module.Class = function() {
+		if (typeof(this.init) === 'function') {
+			this.init.apply(this, arguments);
+		}
+	};
+
+	/**
+	 * @memberof HBS.Class
+	 * @desc Creates a subclass. Prototype members that override a function of the same name can call
+	 * the overridden version with this._super(). Static members of the parent class are copied to the
+	 * subclass before <b>staticProps</b>. Members of each object in <b>protoProps.mixins</b> are copied
+	 * onto the prototype, in order, before the rest of <b>protoProps</b>, so the class's own members win
+	 * and can reach a mixin's version of a function through this._super().
+	 * @param {Object} [protoProps] Prototype members. A "constructor" member replaces the default
+	 * constructor; a "mixins" member lists objects to mix in.
+	 * @param {Object} [staticProps] Members to add to the class itself
+	 * @returns {Function} The subclass, which has its own extend() function
+	 */
+	module.Class.extend = function(protoProps, staticProps) {
+		var parent = this,
+			mixins = (protoProps && protoProps.mixins) || [],
+			child,
+			name;
+
+		protoProps = protoProps || {};
+		if (protoProps.hasOwnProperty('constructor')) {
+			child = protoProps.constructor;
+		} else {
+			child = function() {
+				return parent.apply(this, arguments);
+			};
+		}
+
+		for (name in parent) {
+			if (parent.hasOwnProperty(name) && name !== 'prototype' && name !== '__super__') {
+				child[name] = parent[name];
+			}
+		}
+		copyMembers(child, staticProps);
+
+		child.prototype = createObject(parent.prototype);
+		for (var i = 0; i < mixins.length; i++) {
+			copyMembers(child.prototype, mixins[i], true);
+		}
+		copyMembers(child.prototype, protoProps, true);
+		delete child.prototype.mixins;
+
+		child.prototype.constructor = child;
+		child.__super__ = parent.prototype;
+		child.mixins = (parent.mixins || []).concat(mixins);
+		child.extend = module.Class.extend;
+
+		return child;
+	};
+
+	/**
+	 * @namespace HBS.Events
+	 * @desc A mixin that gives any object or class on(), off(), once() and trigger() functions. Mix it into
+	 * a class with HBS.Class.extend({mixins: [HBS.Events]}), or onto an object with $.extend(obj, HBS.Events).
+	 * Event names may be namespaced with colons (challenge:updated). Subscriptions may use * as a wildcard,
+	 * so "challenge:*" hears every challenge event and "*" hears everything. Wildcard callbacks receive the
+	 * triggered event name before the event's arguments.
+	 */
+	module.Events = {
+		/**
+		 * @memberof HBS.Events
+		 * @param {String} events One or more space-separated event names or wildcard patterns
+		 * @param {Function} callback
+		 * @param {Object} [context] The value of this inside the callback
+		 * @param {Object} [options]
+		 * @param {Boolean} [options.replay=false] If true and a matching event has already been triggered,
+		 * the callback runs straight away with the most recent arguments of each matching event
+		 * @returns {Object} this, for chaining
+		 */
+		on: function(events, callback, context, options) {
+			var names = module.splitList(events),
+				handler;
+
+			initEvents(this);
+			for (var i = 0; i < names.length; i++) {
+				handler = {
+					name: names[i],
+					pattern: (names[i].indexOf('*') === -1) ? null : getEventPattern(names[i]),
+					callback: callback,
+					context: context,
+					once: !!(options && options.once)
+				};
+				this._events.handlers.push(handler);
+
+				if (options && options.replay) {
+					for (var name in this._events.triggered) {
+						if (this._events.triggered.hasOwnProperty(name) && handlerMatches(handler, name) && !handler.removed) {
+							runHandler(this, handler, name, this._events.triggered[name]);
+						}
+					}
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * @memberof HBS.Events
+		 * @desc Like on(), but the callback is removed after it runs once.
+		 * @param {String} events One or more space-separated event names or wildcard patterns
+		 * @param {Function} callback
+		 * @param {Object} [context]
+		 * @param {Object} [options] See on()
+		 * @returns {Object} this, for chaining
+		 */
+		once: function(events, callback, context, options) {
+			return this.on(events, callback, context, $.extend({}, options, {once: true}));
+		},
+
+		/**
+		 * @memberof HBS.Events
+		 * @desc Removes callbacks. Every argument narrows what is removed; call with no arguments to
+		 * remove everything.
+		 * @param {String} [events] Space-separated event names or wildcard patterns, exactly as subscribed
+		 * @param {Function} [callback]
+		 * @param {Object} [context]
+		 * @returns {Object} this, for chaining
+		 */
+		off: function(events, callback, context) {
+			var names = events ? module.splitList(events) : null,
+				handlers,
+				handler;
+
+			if (!this._events) {
+				return this;
+			}
+
+			handlers = this._events.handlers;
+			for (var i = handlers.length - 1; i >= 0; i--) {
+				handler = handlers[i];
+				if ((names === null || $.inArray(handler.name, names) !== -1) &&
+					(!callback || handler.callback === callback) &&
+					(!context || handler.context === context)) {
+					handler.removed = true;
+					handlers.splice(i, 1);
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * @memberof HBS.Events
+		 * @desc Runs every callback subscribed to the event, in the order they subscribed. A callback
+		 * that throws is logged and the rest still run.
+		 * @param {String} name The event name, e.g. challenge:updated
+		 * @returns {Object} this, for chaining
+		 */
+		trigger: function(name) {
+			var args = Array.prototype.slice.call(arguments, 1),
+				handlers;
+
+			initEvents(this);
+			this._events.triggered[name] = args;
+
+			handlers = this._events.handlers.slice();
+			for (var i = 0; i < handlers.length; i++) {
+				if (handlerMatches(handlers[i], name) && !handlers[i].removed) {
+					runHandler(this, handlers[i], name, args);
+				}
+			}
+
+			return this;
 		}
 	};
 
+	/**
+	 * @namespace HBS.events
+	 * @desc The application-wide event bus, for modules that need to talk to each other without
+	 * knowing about each other.
+	 * @see HBS.Events
+	 */
+	module.events = $.extend({}, module.Events);
+
+	/**
+	 * Gives an emitter its own handler list and record of triggered events.
+	 * @private
+	 * @param {Object} emitter
+	 */
+	function initEvents(emitter) {
+		if (!emitter.hasOwnProperty('_events')) {
+			emitter._events = {
+				handlers: [],
+				triggered: {}
+			};
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {String} name An event name containing * wildcards
+	 * @returns {RegExp} A pattern that matches event names
+	 */
+	function getEventPattern(name) {
+		return new RegExp('^' + name.replace(/[\-\[\]\/{}()+?.\\^$|]/g, '\\$&').replace(/\*/g, '.*') + '$');
+	}
+
+	/**
+	 * @private
+	 * @param {Object} handler
+	 * @param {String} name A triggered event name
+	 * @returns {Boolean}
+	 */
+	function handlerMatches(handler, name) {
+		return (handler.pattern === null) ? handler.name === name : handler.pattern.test(name);
+	}
+
+	/**
+	 * @private
+	 * @param {Object} emitter The object the event was triggered on
+	 * @param {Object} handler
+	 * @param {String} name The triggered event name
+	 * @param {Array} args The event's arguments
+	 */
+	function runHandler(emitter, handler, name, args) {
+		if (handler.once) {
+			handler.removed = true;
+			emitter._events.handlers.splice($.inArray(handler, emitter._events.handlers), 1);
+		}
+
+		try {
+			handler.callback.apply(handler.context || emitter, (handler.pattern === null) ? args : [name].concat(args));
+		} catch (e) {
+			log.error("Error in handler for event " + name, e);
+		}
+	}
+
+	/**
+	 * Tests whether the browser can decompile functions, so methods that never call this._super()
+	 * can skip being wrapped. Browsers that can't are treated as if every method calls it.
+	 * @private
+	 */
+	var SUPER_TEST = /xyz/.test(function() { return 'xyz'; }) ? /\b_super\b/ : /.*/;
+
+	/**
+	 * @private
+	 * @param {Object} proto The object to inherit from
+	 * @returns {Object} A new, empty object whose prototype is proto, with or without Object.create
+	 */
+	function createObject(proto) {
+		var Surrogate;
+
+		if (typeof(Object.create) === 'function') {
+			return Object.create(proto);
+		}
+
+		Surrogate = function() {};
+		Surrogate.prototype = proto;
+		return new Surrogate();
+	}
+
+	/**
+	 * Copies the own members of <b>source</b> onto <b>target</b>.
+	 * @private
+	 * @param {Object} target
+	 * @param {Object} source
+	 * @param {Boolean} [allowSuper=false] If true, functions that replace an existing function on target
+	 * (including an inherited one) and use this._super() are wrapped so this._super() calls the replaced function.
+	 */
+	function copyMembers(target, source, allowSuper) {
+		var name, value;
+
+		for (name in source) {
+			if (source.hasOwnProperty(name) && name !== 'constructor') {
+				value = source[name];
+				if (allowSuper && typeof(value) === 'function' && typeof(target[name]) === 'function' && SUPER_TEST.test(value)) {
+					value = wrapSuper(value, target[name]);
+				}
+				target[name] = value;
+			}
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {Function} method The overriding function
+	 * @param {Function} overridden The function it replaces
+	 * @returns {Function} A function that makes this._super() call <b>overridden</b> while <b>method</b> runs
+	 */
+	function wrapSuper(method, overridden) {
+		return function() {
+			var previous = this._super,
+				result;
+
+			this._super = overridden;
+			try {
+				result = method.apply(this, arguments);
+			} finally {
+				this._super = previous;
+			}
+			return result;
+		};
+	}
+
 	/**
 	 * @memberof HBS
 	 * @param {string} pkg An object in dot notation (e.g. mySite.myObject)
 	 * @returns {Boolean} Whether or not the current object is defined
 	 */
 	module.exists = function(pkg) {
-		return module.getNamespacedObject(pkg) !== null;
+		return typeof(module.get(pkg)) !== 'undefined';
 	};
 
 	/**
 	 * @memberof HBS
 	 * @param {string} pkg An object in dot notation (e.g. mySite.myObject)
-	 * @returns {Boolean} Returns a namespace object if it exists, or null if it doesn't
+	 * @returns {*} Returns a namespace object if it exists, or undefined if it doesn't
+	 * @see HBS.get
 	 */
 	module.getNamespacedObject = function(pkg) {
-		var packageParts = module.getPackageArray(pkg),
-			target = window,
-			nextPart,
-			retVal = null;
+		return module.get(pkg);
+	};
 
-		for (var i = 0, max = packageParts.length; i < max; i++) {
-			nextPart = packageParts[i];
-			if (typeof (target[nextPart]) === 'undefined') {
-				retVal = false;
-				break;
+	/**
+	 * @method get
+	 * @memberof HBS
+	 * @desc Reads a value at a path. Paths may use dots, brackets or both (teams[0].name,
+	 * modules["HAN.main"].refresh), or be an array of keys (['teams', 0, 'name']).
+	 * @param {string|Array} path The path to read
+	 * @param {Object} [root=window] The object the path starts from
+	 * @returns {*} The value, or undefined if the path is empty or any part of it is missing
+	 */
+	module.get = function(path, root) {
+		var parts = module.getPackageArray(path),
+			target = (arguments.length > 1) ? root : window;
+
+		if (parts.length === 0) {
+			return undefined;
+		}
+
+		for (var i = 0; i < parts.length; i++) {
+			if (target === null || typeof(target) === 'undefined') {
+				return undefined;
+			}
+			target = target[parts[i]];
+		}
+
+		return target;
+	};
+
+	/**
+	 * @method has
+	 * @memberof HBS
+	 * @desc Checks whether a path exists, even if the value at the end of it is undefined.
+	 * @param {string|Array} path The path to check, as for get()
+	 * @param {Object} [root=window] The object the path starts from
+	 * @returns {Boolean} Whether or not every part of the path exists. False for an empty path.
+	 */
+	module.has = function(path, root) {
+		var parts = module.getPackageArray(path),
+			target = (arguments.length > 1) ? root : window;
+
+		if (parts.length === 0) {
+			return false;
+		}
+
+		for (var i = 0; i < parts.length; i++) {
+			if (target === null || typeof(target) === 'undefined' || !(parts[i] in Object(target))) {
+				return false;
+			}
+			target = target[parts[i]];
+		}
+
+		return true;
+	};
+
+	/**
+	 * @method set
+	 * @memberof HBS
+	 * @desc Writes a value at a path, creating any missing objects along it. A missing part followed
+	 * by a numeric key (teams[0]) is created as an array. Unlike namespace(), set() never warns about or
+	 * registers what it replaces, so it suits data rather than modules.
+	 * @param {string|Array} path The path to write, as for get()
+	 * @param {*} value
+	 * @param {Object} [root=window] The object the path starts from
+	 * @returns {*} The value
+	 */
+	module.set = function(path, value, root) {
+		var parts = module.getPackageArray(path),
+			target = (arguments.length > 2) ? root : window,
+			key;
+
+		if (parts.length === 0) {
+			throw new Error("HBS.set requires a path");
+		}
+
+		for (var i = 0; i < parts.length - 1; i++) {
+			key = parts[i];
+			if (target[key] === null || typeof(target[key]) === 'undefined') {
+				target[key] = /^\d+$/.test(parts[i + 1]) ? [] : {};
+			} else if (!isNamespaceObject(target[key])) {
+				throw new Error("HBS.set: cannot set " + parts.join('.') + " because " +
+					parts.slice(0, i + 1).join('.') + " is a " + typeof(target[key]));
 			}
-			retVal = target = target[nextPart];
+			target = target[key];
 		}
 
-		return retVal;
+		target[parts[parts.length - 1]] = value;
+		return value;
 	};
 
 	/**
 	 * @private
 	 * @memberof HBS
-	 * @param {Object} pkg: An internal function used to split a string
-	 * into an array of objects to be created or traversed.
+	 * @param {string|Array} pkg: A dot and/or bracket path, or an array of keys, to be split
+	 * into the keys to be created or traversed.
+	 * @returns {Array} The keys, as strings. Empty for an empty path or anything that isn't a path.
 	 */
 	module.getPackageArray = function (pkg) {
-		return (typeof(pkg) !== 'string') ? '' : pkg.split('.');
+		var parts = [],
+			pattern = /([^.\[\]]+)|\[\s*(?:(\d+)|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)')\s*\]/g,
+			match;
+
+		if ($.isArray(pkg)) {
+			return $.map(pkg, function(part) {
+				return String(part);
+			});
+		}
+
+		if (typeof(pkg) === 'number') {
+			return [String(pkg)];
+		}
+
+		if (typeof(pkg) !== 'string') {
+			return [];
+		}
+
+		while ((match = pattern.exec(pkg)) !== null) {
+			if (match[1] !== undefined) {
+				parts.push(match[1]);
+			} else if (match[2] !== undefined) {
+				parts.push(match[2]);
+			} else {
+				parts.push((match[3] !== undefined ? match[3] : match[4]).replace(/\\(.)/g, '$1'));
+			}
+		}
+
+		return parts;
 	};
 
 	/**
@@ -201,11 +2480,29 @@
 		return scriptName;
 	}
 
-	if (module.defaults.autoInit) {
-		$(document).ready(function() {
+	$(document).ready(function() {
+		if (documentConfig === null) {
+			readDocumentConfig();
+		}
+		if (module.config().autoInit) {
 			module.initPage();
-		});
-	}
+		}
+	});
+
+	$(window).on('load', function() {
+		var pending = [];
+
+		// $.when() gives up at the first failure, so wait on promises that resolve however each load ends
+		for (var src in scriptCache) {
+			if (scriptCache.hasOwnProperty(src)) {
+				pending.push($.Deferred(function(settled) {
+					scriptCache[src].always(settled.resolve);
+				}).promise());
+			}
+		}
+
+		$.when.apply($, pending).done(module.verifyDefinitions);
+	});
 
 	module.namespace('HBS', module);
 }());
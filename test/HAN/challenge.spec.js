@@ -0,0 +1,85 @@
+'use strict';
+
+var assert = require('assert');
+var harness = require('../helpers/harness');
+
+describe('HAN.challenge', function() {
+	var window;
+	var challenge;
+
+	/**
+	 * @returns {Object} Endpoint JSON for a small challenge, with a tie for first place between teams
+	 */
+	function data() {
+		return {
+			id: '2013-10',
+			name: 'October',
+			start: '2013-10-30',
+			end: '2013-10-31',
+			teams: [{id: 'a', name: 'A'}, {id: 'b', name: 'B'}, {id: 'c', name: 'C'}],
+			participants: [
+				{id: 'ann', name: 'Ann', team: 'a', steps: [1000, 3000]},
+				{id: 'bob', name: 'Bob', team: 'b', steps: [2000, 2000]},
+				{id: 'cat', name: 'Cat', team: 'c', steps: [500, 500]},
+				{id: 'dan', name: 'Dan', team: 'c', steps: [1500, 1500]}
+			]
+		};
+	}
+
+	beforeEach(function() {
+		window = harness.reset(['src/js/HAN/challenge.js']);
+		challenge = window.HAN.challenge;
+		window.HBS.configure('HAN.challenge', {endpoint: '../../src/data/challenges/'});
+	});
+
+	it('works out totals, averages and shared ranks', function() {
+		var october = new challenge.Challenge(data());
+
+		assert.strictEqual(october.getParticipant('ann').totalSteps, 4000);
+		assert.strictEqual(october.getParticipant('ann').averageSteps, 2000);
+		assert.strictEqual(october.getParticipant('bob').rank, 1);
+		assert.strictEqual(october.getParticipant('dan').rank, 3);
+		assert.strictEqual(october.getTeam('c').totalSteps, 4000);
+		assert.strictEqual(october.getTeam('c').averageSteps, 2000);
+		assert.strictEqual(october.teams.map(function(team) {
+			return team.id + ' ' + team.rank;
+		}).join(', '), 'a 1, b 1, c 3');
+		assert.strictEqual(october.winners().length, 2);
+	});
+
+	it('dates each day from the start of the challenge', function() {
+		var ann = new challenge.Challenge(data()).getParticipant('ann');
+
+		assert.strictEqual(ann.days[1].date.getDate(), 31);
+		assert.strictEqual(ann.stepsOn(new window.Date(2013, 9, 31)), 3000);
+		assert.strictEqual(ann.stepsOn(new window.Date(2013, 10, 1)), undefined);
+		assert.strictEqual(ann.team.id, 'a');
+	});
+
+	it('loads a challenge from the endpoint once', function() {
+		var loaded = challenge.load('2013-10');
+
+		assert.strictEqual(challenge.load('2013-10'), loaded);
+		return loaded.then(function(october) {
+			assert.ok(october instanceof challenge.Challenge);
+			assert.ok(october.teams.length > 0);
+			assert.strictEqual(october.teams[0].rank, 1);
+		});
+	});
+
+	it('lists the challenges', function() {
+		return challenge.list().then(function(entries) {
+			assert.strictEqual(entries[0].id, '2013-10');
+			assert.strictEqual(entries[0].start.getMonth(), 9);
+		});
+	});
+
+	it('rejects when a challenge is missing', function() {
+		return new Promise(function(resolve) {
+			challenge.load('1999-01').fail(function(error) {
+				assert.ok(/Unable to load/.test(error.message));
+				resolve();
+			});
+		});
+	});
+});
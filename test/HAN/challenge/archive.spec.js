@@ -0,0 +1,102 @@
+'use strict';
+
+var assert = require('assert');
+var harness = require('../../helpers/harness');
+
+describe('HAN.challenge.archive', function() {
+	var window;
+	var $;
+
+	/**
+	 * @returns {Promise} Resolved once the archive has rendered something
+	 */
+	function rendered() {
+		return harness.waitFor(function() {
+			return !$('[data-archive]').hasClass('is-loading');
+		});
+	}
+
+	beforeEach(function() {
+		window = harness.reset([
+			'src/js/lib/underscore.js',
+			'src/js/HAN/challenge.js',
+			'src/js/HAN/main.js',
+			'src/js/HAN/components/ChartWidget.js',
+			'src/js/HAN/challenge/archive.js'
+		], {
+			body: '<div data-archive></div>',
+			page: {section: 'HAN.challenge', page: 'archive'}
+		});
+		$ = window.jQuery;
+		window.HBS.configure('HAN.challenge', {endpoint: '../../src/data/challenges/'});
+	});
+
+	afterEach(function() {
+		window.history.replaceState(null, '', window.location.pathname);
+	});
+
+	it('shows the winners of the most recent challenge from initPage()', function() {
+		window.HBS.initPage();
+
+		return rendered().then(function() {
+			assert.ok(/October Fitbit Challenge winners, Lunch Walkers!/.test($('.archive-heading').text()));
+			assert.strictEqual($('.archive-trophy, .archive-photo, .archive-motto').length, 0);
+			assert.strictEqual($('.archive-months a').length, 3);
+			assert.strictEqual($('.archive-months .is-active').text(), 'October Fitbit Challenge');
+			assert.ok(window.HBS.getModule($('[data-chart-source="teamAverages"]')[0]));
+		});
+	});
+
+	it('deep links to a month with ?month=', function() {
+		window.history.replaceState(null, '', '?month=2012-10');
+		window.HBS.initPage();
+
+		return rendered().then(function() {
+			assert.strictEqual($('.archive-team-name').text(), 'Great Lakes Marketing');
+			assert.strictEqual($('.archive-motto').text(), 'Fit for a bit of beer');
+			assert.strictEqual($('.archive-photo').attr('src'), 'img/october-winners.png');
+			assert.strictEqual($('.archive-trophy').attr('src'), 'img/october-trophy.png');
+		});
+	});
+
+	it('takes the month from route params', function() {
+		window.HAN.challenge.archive({month: '2012-09'});
+
+		return rendered().then(function() {
+			assert.strictEqual($('.archive-months .is-active').text(), 'September 2012 Fitbit Challenge');
+			assert.strictEqual($('.archive-team-name').text(), 'Interactive');
+			assert.strictEqual($('.archive-photo').length, 0);
+		});
+	});
+
+	it('leaves out a challenge on its last day', function() {
+		var today = new window.Date(),
+			list = window.HAN.challenge.list;
+
+		window.HAN.challenge.list = function() {
+			return list().then(function(entries) {
+				return [{
+					id: 'running',
+					name: 'Running Fitbit Challenge',
+					start: new window.Date(today.getFullYear(), today.getMonth(), 1),
+					end: new window.Date(today.getFullYear(), today.getMonth(), today.getDate())
+				}].concat(entries);
+			});
+		};
+		window.HAN.challenge.archive();
+
+		return rendered().then(function() {
+			assert.strictEqual($('.archive-months a').length, 3);
+			assert.strictEqual($('.archive-months .is-active').text(), 'October Fitbit Challenge');
+		});
+	});
+
+	it('says so when the month is not in the archive', function() {
+		window.HAN.challenge.archive({month: '1999-01'});
+
+		return rendered().then(function() {
+			assert.ok($('[data-archive]').hasClass('is-failed'));
+			assert.strictEqual($('.archive-message').length, 1);
+		});
+	});
+});
@@ -0,0 +1,198 @@
+'use strict';
+
+var assert = require('assert');
+var harness = require('../../helpers/harness');
+
+describe('HAN.components.ChartWidget', function() {
+	var window;
+	var $;
+	var drawn;
+
+	/**
+	 * @returns {HAN.challenge.Challenge} Two teams over two days
+	 */
+	function createChallenge() {
+		return new window.HAN.challenge.Challenge({
+			id: '2013-10',
+			start: '2013-10-30',
+			end: '2013-10-31',
+			teams: [{id: 'a', name: 'A'}, {id: 'b', name: 'B'}],
+			participants: [
+				{id: 'ann', name: 'Ann', team: 'a', steps: [1000, 2000]},
+				{id: 'bob', name: 'Bob', team: 'a', steps: [500, 500]},
+				{id: 'cat', name: 'Cat', team: 'b', steps: [100, 200]}
+			]
+		});
+	}
+
+	/**
+	 * @param {String} attributes data-* attributes for the widget's element
+	 * @returns {HAN.components.ChartWidget} The widget bootstrapped from them
+	 */
+	function createWidget(attributes) {
+		harness.fixture('<div data-module="HAN.components.ChartWidget" ' + attributes + '></div>');
+		return window.HBS.initModules()[0];
+	}
+
+	beforeEach(function() {
+		window = harness.reset([
+			'src/js/HAN/challenge.js',
+			'src/js/HAN/main.js',
+			'src/js/HAN/components/ChartWidget.js'
+		]);
+		$ = window.jQuery;
+
+		// jsdom has no canvas, so record what would have been drawn
+		drawn = [];
+		window.charJSPersonnalDefaultOptions = {};
+		window.HTMLCanvasElement.prototype.getContext = function() {
+			return {canvas: this};
+		};
+		window.Chart = function(context) {
+			['Line', 'Bar', 'Pie', 'Gauge'].forEach(function(type) {
+				this[type] = function(data, options) {
+					var chart = {type: type, canvas: context.canvas, data: data, options: options, updates: [], destroyed: false};
+
+					chart.update = function(newData, updateOptions) {
+						chart.updates.push({data: newData, options: updateOptions});
+					};
+					chart.destroy = function() {
+						chart.destroyed = true;
+					};
+					drawn.push(chart);
+					return chart;
+				};
+			}, this);
+		};
+
+		return new Promise(function(resolve) {
+			window.HBS.ready('HAN.main', resolve);
+		});
+	});
+
+	it('charts a source as coloured datasets', function() {
+		createWidget('data-chart-type="Line" data-chart-source="cumulativeSteps" data-chart-options=\'{"bezierCurve": false}\'');
+		window.HBS.events.trigger('challenge:loaded', createChallenge());
+
+		assert.strictEqual(drawn.length, 1);
+		assert.strictEqual(drawn[0].type, 'Line');
+		assert.strictEqual(drawn[0].data.labels.join(' '), '10/30 10/31');
+		assert.strictEqual(drawn[0].data.datasets[0].data.join(' '), '1500 4000');
+		assert.strictEqual(drawn[0].data.datasets[1].strokeColor, '#f58025');
+		assert.strictEqual(drawn[0].options.bezierCurve, false);
+		assert.strictEqual(window.charJSPersonnalDefaultOptions.scaleFontColor, '#6d6e71');
+	});
+
+	it('counts days without steps as 0 in running totals', function() {
+		createWidget('data-chart-type="Line" data-chart-source="cumulativeSteps"');
+		window.HBS.events.trigger('challenge:loaded', new window.HAN.challenge.Challenge({
+			id: '2013-10',
+			start: '2013-10-29',
+			end: '2013-10-31',
+			teams: [{id: 'a', name: 'A'}, {id: 'b', name: 'B'}],
+			participants: [
+				{id: 'ann', name: 'Ann', team: 'a', steps: [1000, 2000, 3000]},
+				{id: 'cat', name: 'Cat', team: 'b', steps: [100]}
+			]
+		}));
+
+		assert.strictEqual(drawn[0].data.datasets[0].data.join(' '), '1000 3000 6000');
+		assert.strictEqual(drawn[0].data.datasets[1].data.join(' '), '100 100 100');
+	});
+
+	it('counts days without steps as 0 in daily steps', function() {
+		createWidget('data-chart-type="Bar" data-chart-source="dailySteps"');
+		window.HBS.events.trigger('challenge:loaded', new window.HAN.challenge.Challenge({
+			id: '2013-10',
+			start: '2013-10-29',
+			end: '2013-10-31',
+			teams: [{id: 'a', name: 'A'}, {id: 'b', name: 'B'}, {id: 'c', name: 'C'}],
+			participants: [
+				{id: 'ann', name: 'Ann', team: 'a', steps: [1000, 2000, 3000]},
+				{id: 'cat', name: 'Cat', team: 'b', steps: [100]}
+			]
+		}));
+
+		assert.strictEqual(drawn[0].data.datasets[1].data.join(' '), '100 0 0');
+		assert.strictEqual(drawn[0].data.datasets[2].data.join(' '), '0 0 0');
+	});
+
+	it('shows the average day against the daily goal on a Gauge', function() {
+		createWidget('data-chart-type="Gauge" data-chart-source="dailyGoal"');
+		window.HBS.events.trigger('challenge:loaded', createChallenge());
+
+		assert.strictEqual(drawn[0].type, 'Gauge');
+		assert.deepStrictEqual(JSON.parse(JSON.stringify(drawn[0].data)), {value: 717, min: 0, max: 10000, title: 'Steps per day'});
+	});
+
+	it('animates to new data when the challenge is loaded again', function() {
+		var widget = createWidget('data-chart-type="Bar"');
+
+		window.HBS.events.trigger('challenge:loaded', createChallenge());
+		window.HBS.events.trigger('challenge:loaded', createChallenge());
+
+		assert.strictEqual(drawn.length, 1);
+		assert.strictEqual(drawn[0].updates.length, 1);
+		assert.strictEqual(drawn[0].updates[0].options.animate, true);
+		widget.destroy();
+		assert.strictEqual(drawn[0].destroyed, true);
+	});
+
+	it('draws its challenge from the cache after another challenge has loaded', function() {
+		var challenge = window.HAN.challenge;
+
+		window.HBS.configure('HAN.challenge', {endpoint: '../../src/data/challenges/'});
+
+		// Native promises, so a failed assertion rejects instead of being lost in a jQuery callback
+		return Promise.resolve(challenge.load('2013-10')).then(function() {
+			return challenge.load('2012-09');
+		}).then(function() {
+			createWidget('data-chart-type="Bar" data-challenge="2013-10"');
+			return challenge.load('2013-10');
+		}).then(function(october) {
+			assert.strictEqual(drawn.length, 1);
+			assert.strictEqual(drawn[0].data.labels.length, october.teams.length);
+		});
+	});
+
+	it('turns the first dataset into segments for a Pie', function() {
+		createWidget('data-chart-type="Pie" data-chart-source="teamTotals"');
+		window.HBS.events.trigger('challenge:loaded', createChallenge());
+
+		assert.strictEqual(drawn[0].data.map(function(segment) {
+			return segment.title + ' ' + segment.value;
+		}).join(', '), 'A 4000, B 300');
+	});
+
+	it('redraws without animating when resized', function() {
+		var widget = createWidget('data-chart-type="Bar"');
+
+		window.HBS.events.trigger('challenge:loaded', createChallenge());
+		widget.$element.width = function() {
+			return 400;
+		};
+		widget.resize();
+		widget.resize();
+
+		assert.strictEqual(drawn.length, 2);
+		assert.strictEqual(drawn[0].destroyed, true);
+		assert.strictEqual(drawn[1].options.animation, false);
+		assert.strictEqual(drawn[1].canvas.height, 200);
+	});
+
+	it('shows it has failed when ChartNew is not on the page', function() {
+		var widget = createWidget('data-chart-type="Bar"');
+
+		delete window.Chart;
+		window.HBS.events.trigger('challenge:loaded', createChallenge());
+
+		assert.strictEqual(drawn.length, 0);
+		assert.ok(widget.$element.hasClass('is-failed'));
+	});
+
+	it('fails to bootstrap with an unknown type or source', function() {
+		assert.strictEqual(createWidget('data-chart-type="Sparkline"'), undefined);
+		assert.strictEqual(createWidget('data-chart-source="HAN.missing"'), undefined);
+		assert.strictEqual(window.HBS.status()['HAN.components.ChartWidget'].state, 'failed');
+	});
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+var assert = require('assert');
+var harness = require('../../helpers/harness');
+
+describe('HAN.components.Leaderboard', function() {
+	var window;
+	var $;
+
+	/**
+	 * @returns {HAN.challenge.Challenge} Four participants, two of them tied on total steps
+	 */
+	function createChallenge() {
+		return new window.HAN.challenge.Challenge({
+			id: '2013-10',
+			start: '2013-10-01',
+			goal: 1000,
+			teams: [{id: 'a', name: 'A'}, {id: 'b', name: 'B'}],
+			participants: [
+				{id: 'ann', name: 'Ann', team: 'a', steps: [1000, 1000, 1000]},
+				{id: 'bob', name: 'Bob', team: 'a', steps: [0, 4000, 0]},
+				{id: 'cat', name: 'Cat', team: 'b', steps: [500, 500, 500]},
+				{id: 'dan', name: 'Dan', team: 'b', steps: [4000, 0, 0]}
+			]
+		});
+	}
+
+	/**
+	 * @param {Object} [options]
+	 * @returns {HAN.components.Leaderboard} A leaderboard showing createChallenge()'s participants
+	 */
+	function createLeaderboard(options) {
+		var element = harness.fixture('<div></div>')[0];
+		var leaderboard = new window.HAN.components.Leaderboard(element, $.extend({
+			show: 'participants',
+			animate: 0
+		}, options));
+
+		leaderboard.setChallenge(createChallenge());
+		return leaderboard;
+	}
+
+	/**
+	 * @returns {String} The rendered rows, as "rank name" pairs
+	 */
+	function rendered() {
+		return $('.leaderboard-row').map(function() {
+			return $(this).find('.leaderboard-rank').text() + ' ' + $(this).find('.leaderboard-name').text();
+		}).get().join(', ');
+	}
+
+	beforeEach(function() {
+		window = harness.reset([
+			'src/js/lib/underscore.js',
+			'src/js/HAN/challenge.js',
+			'src/js/HAN/main.js',
+			'src/js/HAN/components/Leaderboard.js'
+		]);
+		$ = window.jQuery;
+
+		return new Promise(function(resolve) {
+			window.HBS.ready('HAN.main', resolve);
+		});
+	});
+
+	it('renders shared ranks for ties', function() {
+		createLeaderboard();
+		assert.strictEqual(rendered(), '=1 Bob, =1 Dan, 3 Ann, 4 Cat');
+		assert.strictEqual($('.is-tied').length, 2);
+		assert.strictEqual($('.leaderboard-score').first().text(), '4,000');
+	});
+
+	it('sorts by streak from the sort buttons', function() {
+		createLeaderboard();
+		$('[data-leaderboard-sort="streak"]').trigger('click');
+		assert.strictEqual(rendered(), '1 Ann, =2 Bob, =2 Dan, 4 Cat');
+		assert.ok($('[data-leaderboard-sort="streak"]').hasClass('is-active'));
+	});
+
+	it('pages through the rows', function() {
+		var leaderboard = createLeaderboard({pageSize: 3});
+
+		assert.strictEqual($('.leaderboard-page').text(), 'Page 1 of 2');
+		$('.leaderboard-next').trigger('click');
+		assert.strictEqual(rendered(), '4 Cat');
+		leaderboard.goToPage(10);
+		assert.strictEqual(leaderboard.page, 2);
+	});
+
+	it('renders its challenge from the cache after another challenge has loaded', function() {
+		var challenge = window.HAN.challenge;
+		var element;
+
+		window.HBS.configure('HAN.challenge', {endpoint: '../../src/data/challenges/'});
+
+		// Native promises, so a failed assertion rejects instead of being lost in a jQuery callback
+		return Promise.resolve(challenge.load('2013-10')).then(function() {
+			return challenge.load('2012-09');
+		}).then(function() {
+			element = harness.fixture('<div></div>')[0];
+			new window.HAN.components.Leaderboard(element, {challenge: '2013-10', animate: 0});
+			return challenge.load('2013-10');
+		}).then(function(october) {
+			assert.ok(!$(element).hasClass('is-loading'));
+			assert.strictEqual($('.leaderboard-row').length, october.teams.length);
+		});
+	});
+
+	it('shows teams and follows challenge:loaded until destroyed', function() {
+		var leaderboard = createLeaderboard({show: 'teams'});
+
+		assert.strictEqual(rendered(), '1 A, 2 B');
+		window.HBS.events.trigger('challenge:loaded', {id: '2013-11', teams: []});
+		assert.strictEqual($('.leaderboard-row').length, 0);
+		leaderboard.destroy();
+		window.HBS.events.trigger('challenge:loaded', createChallenge());
+		assert.strictEqual(leaderboard.$element.html(), '');
+	});
+});
@@ -0,0 +1,117 @@
+'use strict';
+
+var assert = require('assert');
+var harness = require('../helpers/harness');
+
+describe('HAN.main', function() {
+	var window;
+	var HBS;
+
+	/**
+	 * @returns {Promise} Settled once HAN.main has booted or failed
+	 */
+	function boot() {
+		return new Promise(function(resolve) {
+			HBS.ready('HAN.main').always(resolve);
+		});
+	}
+
+	beforeEach(function() {
+		window = harness.reset(['src/js/HAN/main.js']);
+		HBS = window.HBS;
+	});
+
+	it('sets up registered components and signals ready', function() {
+		var created = 0;
+		var Counter = function() {
+			created++;
+		};
+
+		Counter.config = {
+			schema: {size: {type: 'number'}},
+			defaults: {size: 10}
+		};
+		window.HAN.main.register('HAN.components.Counter', Counter);
+		harness.fixture('<div data-module="HAN.components.Counter"></div>');
+
+		return boot().then(function() {
+			assert.strictEqual(created, 1);
+			assert.strictEqual(HBS.config('HAN.components.Counter').size, 10);
+			assert.strictEqual(HBS.status()['HAN.main'].state, 'initialised');
+			assert.ok(window.jQuery('html').hasClass('app-ready'));
+		});
+	});
+
+	it('starts the router for components with routes', function() {
+		var months = [];
+
+		window.HAN.main.register('HAN.components.Archive', {
+			routes: {'#/archive/:month': 'month'},
+			month: function(params) {
+				months.push(params.month);
+			}
+		});
+		window.location.hash = '#/archive/october';
+
+		return boot().then(function() {
+			assert.deepStrictEqual(months, ['october']);
+			HBS.router.stop();
+		});
+	});
+
+	it('shows an error when boot fails', function() {
+		window.HAN.main.register('HAN.components.Broken', {
+			routes: {'/broken': 'show'}
+		});
+		HBS.router.start = function() {
+			throw new Error('router exploded');
+		};
+
+		return boot().then(function() {
+			assert.strictEqual(HBS.status()['HAN.main'].state, 'failed');
+			assert.strictEqual(window.jQuery('.app-error[role=alert]').length, 1);
+			assert.ok(window.jQuery('html').hasClass('app-failed'));
+		});
+	});
+
+	it('sets up components registered after boot', function() {
+		return boot().then(function() {
+			var created = 0;
+
+			harness.fixture('<div data-module="HAN.components.Late"></div>');
+			window.HAN.main.register('HAN.components.Late', function() {
+				created++;
+			});
+			assert.strictEqual(created, 1);
+		});
+	});
+
+	it('runs the routes of components registered after boot', function() {
+		var visits = [];
+
+		window.location.hash = '#/late/1';
+
+		return boot().then(function() {
+			// Nothing had routes at boot, so registering starts the router
+			window.HAN.main.register('HAN.components.Late', {
+				routes: {'#/late/:id': 'show'},
+				show: function(params) {
+					visits.push('late ' + params.id);
+				}
+			});
+			assert.deepStrictEqual(visits, ['late 1']);
+
+			// The router is running now, and checks the current URL again for the next component's routes
+			window.location.hash = '#/later/2';
+			HBS.router.check();
+			window.HAN.main.register('HAN.components.Later', {
+				routes: {'#/later/:id': 'show'},
+				show: function(params) {
+					visits.push('later ' + params.id);
+				}
+			});
+			assert.deepStrictEqual(visits, ['late 1', 'later 2']);
+			HBS.router.stop();
+		});
+	});
+});
@@ -0,0 +1,288 @@
+'use strict';
+
+var assert = require('assert');
+var harness = require('./helpers/harness');
+
+describe('ChartNew', function() {
+	var window;
+	var canvas;
+	var context;
+
+	/**
+	 * jsdom has no canvas, so ChartNew draws on a context that accepts every call and counts them, and
+	 * counts the times it measures each text.
+	 * @param {HTMLCanvasElement} element
+	 * @returns {Object} A stand-in 2D context
+	 */
+	function createContext(element) {
+		var state = {canvas: element, calls: 0, measured: {}};
+
+		return new Proxy(state, {
+			get: function(target, name) {
+				if (name in target) {
+					return target[name];
+				}
+				if (name === 'measureText') {
+					return function(text) {
+						target.measured[text] = (target.measured[text] || 0) + 1;
+						return {width: String(text).length * 6};
+					};
+				}
+				return function() {
+					target.calls++;
+				};
+			}
+		});
+	}
+
+	/**
+	 * @returns {Object} Line chart data with two datasets and three points
+	 */
+	function lineData() {
+		return {
+			labels: ['Mon', 'Tue', 'Wed'],
+			datasets: [
+				{fillColor: '#ccc', strokeColor: '#999', data: [8000, 9000, 10000]},
+				{fillColor: '#eee', strokeColor: '#666', data: [7000, 11000, 6000]}
+			]
+		};
+	}
+
+	/**
+	 * @returns {Number} How many listeners ChartNew has on the canvas
+	 */
+	function listenerCount() {
+		return (window.chartListeners[canvas.id] || []).length;
+	}
+
+	beforeEach(function() {
+		window = harness.reset(['src/js/lib/ChartNew.js'], {
+			body: '<canvas id="steps" width="400" height="200"></canvas>'
+		});
+		canvas = window.document.getElementById('steps');
+		context = createContext(canvas);
+	});
+
+	it('returns an instance that redraws without stacking listeners', function() {
+		var chart = new window.Chart(context).Line(lineData(), {animation: false, annotateDisplay: true});
+		var calls = context.calls;
+
+		assert.strictEqual(listenerCount(), 1);
+		assert.strictEqual(chart.update(lineData()), chart);
+		chart.update();
+		assert.ok(context.calls > calls);
+		assert.strictEqual(listenerCount(), 1);
+		assert.strictEqual(canvas.width, 400);
+	});
+
+	it('adds and removes points and datasets', function() {
+		var chart = new window.Chart(context).Bar(lineData(), {animation: false});
+
+		chart.addData([9500, 10200], 'Thu');
+		chart.removeData();
+		assert.strictEqual(chart.data.labels.join(' '), 'Tue Wed Thu');
+		assert.strictEqual(chart.data.datasets[1].data.join(' '), '11000 6000 10200');
+
+		chart.addDataset({fillColor: '#000', data: [1, 2, 3]}, 0);
+		assert.strictEqual(chart.data.datasets[0].data.join(' '), '1 2 3');
+		chart.removeDataset();
+		assert.strictEqual(chart.data.datasets.length, 2);
+	});
+
+	it('adds and removes Pie segments', function() {
+		var chart = new window.Chart(context).Pie([
+			{value: 30, color: '#f00', title: 'A'},
+			{value: 70, color: '#0f0', title: 'B'}
+		], {animation: false});
+
+		chart.addData({value: 10, color: '#00f', title: 'C'});
+		chart.removeData(0);
+		assert.strictEqual(chart.data.map(function(segment) {
+			return segment.title;
+		}).join(' '), 'B C');
+	});
+
+	it('plots Scatter and Bubble points against two numeric axes', function() {
+		var data = {
+			datasets: [{title: 'Steps', data: [{x: 30, y: 9000, r: 4, label: 'Kim'}, {x: 90, y: 14000, r: 16}]}]
+		};
+		var scatter = new window.Chart(context).Scatter(data, {animation: false, clearRect: false, annotateDisplay: true});
+		var points = window.jsGraphAnnotate.steps;
+
+		assert.strictEqual(points.length, 2);
+		assert.ok(points[1][1] > points[0][1]);
+		assert.ok(points[1][2] < points[0][2]);
+		assert.strictEqual(points[0].slice(3, 7).join(' '), 'Steps Kim 9000 30');
+
+		scatter.addData([{x: 60, y: 11000}]);
+		scatter.removeData();
+		assert.strictEqual(data.datasets[0].data.map(function(point) {
+			return point.x;
+		}).join(' '), '90 60');
+		scatter.destroy();
+
+		new window.Chart(context).Bubble({
+			datasets: [{title: 'Steps', data: [{x: 30, y: 9000, r: 4}, {x: 90, y: 14000, r: 16}]}]
+		}, {animation: false, clearRect: false, annotateDisplay: true, bubbleMaxRadius: 20});
+		assert.strictEqual(window.jsGraphAnnotate.steps[1][7], 16);
+	});
+
+	it('places points on a time axis in proportion to their dates', function() {
+		var labels = [];
+		var points;
+
+		for (var day = 1; day <= 31; day++) {
+			labels.push('2014-10-' + (day < 10 ? '0' : '') + day);
+		}
+		// A gap: nothing on October 2nd to 4th
+		labels.splice(1, 3);
+
+		new window.Chart(context).Line({
+			labels: labels,
+			datasets: [{title: 'Steps', data: labels.map(function(label, i) {
+				return 9000 + i * 100;
+			})}]
+		}, {animation: false, clearRect: false, annotateDisplay: true, xAxisTime: true, xAxisTimeFormat: '<%=mmm%> <%=d%>'});
+		points = window.jsGraphAnnotate.steps;
+
+		// A four-day step, then one-day steps
+		assert.ok(Math.abs((points[1][1] - points[0][1]) - 4 * (points[2][1] - points[1][1])) < 1);
+		assert.strictEqual(points[0][4], 'Oct 1');
+		assert.strictEqual(points[1][4], 'Oct 5');
+	});
+
+	it('draws a Gauge as a share of half a circle with its value in the middle', function() {
+		var texts = [];
+		var gauge;
+		var arc;
+
+		context.fillText = function(text) {
+			texts.push(String(text));
+		};
+		gauge = new window.Chart(context).Gauge({value: 75, max: 100, target: 80, title: 'Steps'},
+			{animation: false, clearRect: false, annotateDisplay: true});
+		arc = window.jsGraphAnnotate.steps[0];
+
+		assert.ok(Math.abs(arc[11] - 0.75 * Math.PI) < 1e-9);
+		assert.strictEqual(arc[10], 100);
+		assert.notStrictEqual(texts.indexOf('75 %'), -1);
+		assert.notStrictEqual(texts.indexOf('100'), -1);
+
+		// Values past the maximum fill the gauge and no more
+		gauge.update({value: 130, max: 100});
+		assert.ok(Math.abs(window.jsGraphAnnotate.steps[0][11] - Math.PI) < 1e-9);
+
+		// The semicircle's angle is drawn from a copy of the config
+		assert.strictEqual(gauge.config.startAngle, 90);
+		assert.throws(function() {
+			gauge.addData(10);
+		}, /update\(\)/);
+		assert.throws(function() {
+			gauge.removeData();
+		}, /update\(\)/);
+	});
+
+	it('cleans up everything it registered when destroyed', function() {
+		var chart = new window.Chart(context).Line(lineData(), {animation: false, annotateDisplay: true, dynamicDisplay: true});
+		var calls;
+
+		assert.ok(window.dynamicDisplay.steps);
+		chart.destroy();
+		assert.strictEqual(listenerCount(), 0);
+		assert.strictEqual(window.jsGraphAnnotate.steps, undefined);
+		assert.strictEqual(window.dynamicDisplay.steps, undefined);
+		assert.strictEqual(window.dynamicDisplayList.indexOf('steps'), -1);
+
+		calls = context.calls;
+		chart.update(lineData());
+		assert.strictEqual(context.calls, calls);
+	});
+
+	it('animates an update from the old values and scale to the new ones', function() {
+		var completed = 0;
+		var annotations = [];
+		var tops = [];
+		var bound = 0;
+		var measuredByDraw;
+		var measured;
+		var chart = new window.Chart(context).Bar({
+			labels: ['Mon'],
+			datasets: [{fillColor: '#ccc', data: [1000]}]
+		}, {
+			animation: false,
+			annotateDisplay: true,
+			clearRect: false,
+			animationSteps: 20,
+			animationEasing: 'linear',
+			onAnimationComplete: function() {
+				completed++;
+			}
+		});
+
+		function between(value) {
+			return value > 1000 && value < 30000;
+		}
+
+		return harness.waitFor(function() {
+			return completed === 1;
+		}).then(function() {
+			var shown;
+
+			// A redraw without animation, to count the times a draw measures the label
+			measured = context.measured.Mon;
+			chart.update();
+			measuredByDraw = context.measured.Mon - measured;
+			measured = context.measured.Mon;
+			shown = window.jsGraphAnnotate.steps;
+
+			canvas.addEventListener = function() {
+				bound++;
+			};
+			chart.update({
+				labels: ['Mon'],
+				datasets: [{fillColor: '#ccc', data: [30000]}]
+			}, {animate: true});
+
+			return harness.waitFor(function() {
+				if (completed === 2) {
+					annotations.push(window.jsGraphAnnotate.steps === shown);
+				}
+				tops.push(window.chartScales.steps.graphMax);
+				return completed === 3;
+			});
+		}).then(function() {
+			// The frames leave the annotations and listeners of the last draw, and the last frame replaces them
+			assert.ok(annotations.length > 1);
+			assert.ok(annotations.every(Boolean));
+			assert.strictEqual(bound, 1);
+			assert.ok(tops.some(between));
+			assert.strictEqual(window.jsGraphAnnotate.steps[0][7], 30000);
+			// Measured by the draw that finds the new scale and by the last draw, not by each frame
+			assert.strictEqual(context.measured.Mon - measured, 2 * measuredByDraw);
+			assert.ok(window.chartScales.steps.graphMax >= 30000);
+			return new Promise(function(resolve) {
+				setTimeout(resolve, 100);
+			});
+		}).then(function() {
+			assert.strictEqual(completed, 3);
+		});
+	});
+
+	it('stops an animation when the chart is redrawn', function() {
+		var completed = 0;
+		var chart = new window.Chart(context).Line(lineData(), {
+			animationSteps: 3,
+			onAnimationComplete: function() {
+				completed++;
+			}
+		});
+
+		chart.update(lineData());
+
+		return new Promise(function(resolve) {
+			setTimeout(resolve, 200);
+		}).then(function() {
+			assert.strictEqual(completed, 1);
+		});
+	});
+});
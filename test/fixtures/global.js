@@ -0,0 +1,2 @@
+// Loaded by the define() specs. Adds a dependency without HBS.namespace(), the way a plain library would
+window.Fixture = {global: {}};
@@ -0,0 +1,9 @@
+// Loaded asynchronously by the data-async-script specs
+HBS.namespace('Fixture.asyncSection', {
+	init: function() {
+		window.fixtureCalls.push('init');
+	},
+	detail: function() {
+		window.fixtureCalls.push('detail');
+	}
+});
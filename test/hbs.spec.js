@@ -0,0 +1,678 @@
+'use strict';
+
+var assert = require('assert');
+var harness = require('./helpers/harness');
+
+/**
+ * Copies a value from the jsdom window into this realm, so deepStrictEqual compares it by value.
+ */
+function plain(value) {
+	return JSON.parse(JSON.stringify(value));
+}
+
+describe('HBS', function() {
+	var window;
+	var HBS;
+
+	beforeEach(function() {
+		window = harness.reset();
+		HBS = window.HBS;
+	});
+
+	describe('namespace', function() {
+		it('creates missing objects along the package', function() {
+			var widget = {};
+
+			HBS.namespace('HAN.widgets.Leaderboard', widget);
+			assert.strictEqual(window.HAN.widgets.Leaderboard, widget);
+		});
+
+		it('keeps siblings when adding to an existing package', function() {
+			HBS.namespace('HAN.a', {});
+			HBS.namespace('HAN.b', {});
+			assert.ok(window.HAN.a);
+			assert.ok(window.HAN.b);
+		});
+
+		it('deep-merges into an existing object in merge mode', function() {
+			HBS.namespace('HAN.main', {a: {x: 1}});
+			HBS.namespace('HAN.main', {a: {y: 2}}, {merge: true});
+			assert.deepStrictEqual(plain(window.HAN.main), {a: {x: 1, y: 2}});
+		});
+
+		it('throws on a collision in strict mode', function() {
+			HBS.namespace('HAN.main', {});
+			assert.throws(function() {
+				HBS.namespace('HAN.main', {}, {strict: true});
+			}, /HAN\.main is already defined/);
+		});
+
+		it('throws when an intermediate segment is not an object', function() {
+			window.HAN = 'not a namespace';
+			assert.throws(function() {
+				HBS.namespace('HAN.main', {});
+			}, /HAN is a string/);
+		});
+
+		it('records who registered each package', function() {
+			HBS.namespace('HAN.main', {}, {source: 'main.js'});
+			assert.strictEqual(HBS.namespaces()['HAN.main'][0].source, 'main.js');
+		});
+	});
+
+	describe('getNamespacedObject', function() {
+		it('finds a namespaced object', function() {
+			var widget = {};
+
+			HBS.namespace('HAN.widgets.Leaderboard', widget);
+			assert.strictEqual(HBS.getNamespacedObject('HAN.widgets.Leaderboard'), widget);
+		});
+
+		it('returns undefined for missing and empty paths', function() {
+			assert.strictEqual(HBS.getNamespacedObject('HAN.missing'), undefined);
+			assert.strictEqual(HBS.getNamespacedObject(''), undefined);
+			assert.strictEqual(HBS.exists('HAN.missing'), false);
+			assert.strictEqual(HBS.exists('HBS'), true);
+		});
+	});
+
+	describe('get, set and has', function() {
+		var data;
+
+		beforeEach(function() {
+			data = {teams: [{name: 'Steppers', 'key.with.dots': 1}], empty: undefined};
+		});
+
+		it('read dot, bracket and array paths from any root', function() {
+			assert.strictEqual(HBS.get('teams[0].name', data), 'Steppers');
+			assert.strictEqual(HBS.get('teams[0]["key.with.dots"]', data), 1);
+			assert.strictEqual(HBS.get(['teams', 0, 'name'], data), 'Steppers');
+			assert.strictEqual(HBS.get('teams[1].name', data), undefined);
+		});
+
+		it('tell a missing path from an undefined value', function() {
+			assert.strictEqual(HBS.has('empty', data), true);
+			assert.strictEqual(HBS.has('missing', data), false);
+			assert.strictEqual(HBS.has('teams[0].name', data), true);
+			assert.strictEqual(HBS.has('', data), false);
+		});
+
+		it('create missing objects and arrays when setting', function() {
+			HBS.set('totals.weeks[2].steps', 500, data);
+			assert.ok(Array.isArray(data.totals.weeks));
+			assert.strictEqual(data.totals.weeks[2].steps, 500);
+			assert.throws(function() {
+				HBS.set('teams[0].name.first', 'x', data);
+			}, /teams\.0\.name is a string/);
+		});
+	});
+
+	describe('extend', function() {
+		it('builds a prototype chain from a parent class', function() {
+			function Parent() {}
+			Parent.prototype.greet = function() {
+				return 'parent';
+			};
+			function Child() {}
+			Child.prototype.own = function() {
+				return 'own';
+			};
+
+			var Extended = HBS.extend(Parent, Child);
+			var child = new Extended();
+
+			assert.ok(child instanceof Parent);
+			assert.strictEqual(child.greet(), 'parent');
+			assert.strictEqual(child.own(), 'own');
+		});
+
+		it('returns an object inheriting from a parent object', function() {
+			var child = HBS.extend({a: 1});
+
+			assert.strictEqual(child.a, 1);
+			assert.ok(!child.hasOwnProperty('a'));
+		});
+	});
+
+	describe('Class', function() {
+		it('supports _super calls, statics and mixins', function() {
+			var Mixin = {
+				describe: function() {
+					return 'mixin';
+				}
+			};
+			var Base = HBS.Class.extend({
+				init: function(name) {
+					this.name = name;
+				}
+			}, {
+				create: function(name) {
+					return new this(name);
+				}
+			});
+			var Widget = Base.extend({
+				mixins: [Mixin],
+				describe: function() {
+					return 'widget ' + this.name + ' ' + this._super();
+				}
+			});
+			var widget = Widget.create('leaderboard');
+
+			assert.ok(widget instanceof Base);
+			assert.ok(widget instanceof HBS.Class);
+			assert.strictEqual(widget.describe(), 'widget leaderboard mixin');
+		});
+	});
+
+	describe('initPage', function() {
+		var calls;
+
+		beforeEach(function() {
+			calls = [];
+			HBS.namespace('HAN.section', {
+				init: function() {
+					calls.push('init');
+				},
+				leaderboard: function() {
+					calls.push('leaderboard');
+				},
+				winners: function() {
+					calls.push('winners');
+				},
+				destroy: function(pages) {
+					calls.push('destroy ' + pages.join(','));
+				}
+			});
+		});
+
+		it('runs init() and each data-page action in order', function() {
+			harness.page({section: 'HAN.section', page: 'winners leaderboard'});
+			HBS.initPage();
+			assert.deepStrictEqual(calls, ['init', 'winners', 'leaderboard']);
+		});
+
+		it('tears the page down with destroyPage()', function() {
+			harness.page({section: 'HAN.section', page: 'leaderboard'});
+			HBS.initPage();
+			assert.strictEqual(HBS.destroyPage(), true);
+			assert.strictEqual(HBS.destroyPage(), false);
+			assert.deepStrictEqual(calls, ['init', 'leaderboard', 'destroy leaderboard']);
+			assert.strictEqual(HBS.status()['HAN.section'].state, 'destroyed');
+		});
+
+		it('keeps running page actions after one throws', function() {
+			window.HAN.section.winners = function() {
+				throw new Error('broken');
+			};
+			harness.page({section: 'HAN.section', page: 'winners leaderboard'});
+			HBS.initPage();
+			assert.deepStrictEqual(calls, ['init', 'leaderboard']);
+			assert.strictEqual(HBS.status()['HAN.section'].state, 'failed');
+		});
+
+		it('loads data-async-script before initializing the section', function() {
+			window.fixtureCalls = [];
+			harness.page({section: 'Fixture.asyncSection', page: 'detail', asyncScript: 'section.js', autoload: true});
+			HBS.initPage();
+
+			return harness.waitFor(function() {
+				return window.fixtureCalls.length === 2;
+			}).then(function() {
+				assert.deepStrictEqual(window.fixtureCalls, ['init', 'detail']);
+			});
+		});
+
+		it('skips data-async-script when the section is already loaded', function() {
+			harness.page({section: 'HAN.section', page: 'leaderboard', asyncScript: 'missing.js', autoload: true});
+			HBS.initPage();
+			assert.deepStrictEqual(calls, ['init', 'leaderboard']);
+		});
+	});
+
+	describe('loadScript', function() {
+		it('returns the same promise for the same script', function() {
+			assert.strictEqual(HBS.loadScript('section.js'), HBS.loadScript('section.js'));
+		});
+
+		it('rejects when a script fails to load', function() {
+			return new Promise(function(resolve) {
+				HBS.loadScript('missing.js').fail(function(error) {
+					assert.ok(/Unable to load/.test(error.message));
+					resolve();
+				});
+			});
+		});
+	});
+
+	describe('initModules', function() {
+		it('instantiates each data-module element once with its options', function() {
+			var created = [];
+
+			HBS.namespace('HAN.widgets.Counter', function(element, options) {
+				created.push(options);
+			});
+			harness.fixture('<div data-module="HAN.widgets.Counter" data-page-size="10"></div>');
+
+			assert.strictEqual(HBS.initModules().length, 1);
+			assert.strictEqual(HBS.initModules().length, 0);
+			assert.deepStrictEqual(plain(created), [{pageSize: 10}]);
+		});
+
+		it('loads a visible module when its IntersectionObserver reports it in view', function() {
+			var created = [];
+			var observer = null;
+
+			window.IntersectionObserver = function(callback) {
+				observer = this;
+				this.callback = callback;
+				this.elements = [];
+			};
+			window.IntersectionObserver.prototype.observe = function(element) {
+				this.elements.push(element);
+			};
+			window.IntersectionObserver.prototype.unobserve = function(element) {
+				this.elements.splice(this.elements.indexOf(element), 1);
+			};
+			HBS.namespace('HAN.widgets.Counter', function(element) {
+				created.push(element.id);
+			});
+			harness.fixture('<div id="chart" data-module="HAN.widgets.Counter" data-module-load="visible"></div>' +
+				'<div id="leaderboard" data-module="HAN.widgets.Counter" data-module-load="visible"></div>');
+
+			HBS.initModules();
+			assert.strictEqual(observer.elements.length, 2);
+
+			HBS.destroyModules(window.document.getElementById('leaderboard'));
+			assert.strictEqual(observer.elements.length, 1);
+
+			observer.callback([{target: window.document.getElementById('chart'), isIntersecting: true}]);
+			assert.deepStrictEqual(created, ['chart']);
+			assert.strictEqual(observer.elements.length, 0);
+		});
+
+		it('throttles the scroll check for visible modules without an IntersectionObserver', function() {
+			var created = 0;
+			var checks = 0;
+			var top = 5000;
+			var element;
+
+			HBS.namespace('HAN.widgets.Counter', function() {
+				created++;
+			});
+			element = harness.fixture('<div data-module="HAN.widgets.Counter" data-module-load="visible"></div>')[0];
+			element.getBoundingClientRect = function() {
+				checks++;
+				return {top: top, bottom: top + 100};
+			};
+
+			HBS.initModules();
+			checks = 0;
+			for (var i = 0; i < 5; i++) {
+				window.jQuery(window).trigger('scroll');
+			}
+			assert.strictEqual(checks, 1);
+			assert.strictEqual(created, 0);
+
+			top = 0;
+			return harness.waitFor(function() {
+				return created === 1;
+			}).then(function() {
+				assert.strictEqual(checks, 2);
+			});
+		});
+	});
+
+	describe('plugin', function() {
+		it('applies to matching elements once and tears down with destroyModules()', function() {
+			var calls = [];
+
+			HBS.plugin('highlight', {
+				selector: '[data-highlight]',
+				init: function(element, options) {
+					calls.push('init ' + options.highlight);
+					return element.id;
+				},
+				destroy: function(element, state) {
+					calls.push('destroy ' + state);
+				}
+			});
+			harness.fixture('<div id="panel"><p id="note" data-highlight="yellow"></p></div>');
+
+			HBS.initModules();
+			HBS.initModules(window.document.getElementById('panel'));
+			HBS.destroyModules(window.document.getElementById('panel'));
+			assert.deepStrictEqual(calls, ['init yellow', 'destroy note']);
+
+			HBS.initModules();
+			assert.strictEqual(calls.length, 3);
+		});
+	});
+
+	describe('destroyModules', function() {
+		it('runs destroy() on module instances under the root', function() {
+			var destroyed = 0;
+
+			HBS.namespace('HAN.widgets.Counter', function() {
+				this.destroy = function() {
+					destroyed++;
+				};
+			});
+			harness.fixture('<div data-module="HAN.widgets.Counter"></div>');
+
+			HBS.initModules();
+			HBS.destroyModules();
+			assert.strictEqual(destroyed, 1);
+			assert.strictEqual(HBS.status()['HAN.widgets.Counter'].state, 'destroyed');
+			assert.strictEqual(HBS.initModules().length, 1);
+		});
+
+		it('cancels a lazy module destroyed before its idle trigger', function() {
+			var created = {};
+
+			HBS.namespace('HAN.widgets.Counter', function(element) {
+				created[element.id] = (created[element.id] || 0) + 1;
+			});
+			harness.fixture('<div id="idle" data-module="HAN.widgets.Counter" data-module-load="idle"></div>' +
+				'<div id="click" data-module="HAN.widgets.Counter" data-module-load="click"></div>');
+
+			HBS.initModules();
+			HBS.destroyModules(window.document.getElementById('idle'));
+
+			return new Promise(function(resolve) {
+				setTimeout(resolve, 20);
+			}).then(function() {
+				assert.strictEqual(created.idle, undefined);
+
+				// The click-loaded module is still waiting, so scanning again doesn't defer it twice
+				HBS.initModules();
+				window.jQuery('#click').trigger('click');
+				assert.strictEqual(created.click, 1);
+			});
+		});
+
+		it('cancels a lazy module destroyed while its script loads', function() {
+			var created = 0;
+
+			HBS.namespace('HAN.widgets.Counter', function() {
+				created++;
+			});
+			harness.fixture('<div data-module="HAN.widgets.Counter" data-module-load="click" data-module-script="section.js"></div>');
+
+			HBS.initModules();
+			window.jQuery('[data-module]').trigger('click');
+			HBS.destroyModules();
+
+			return new Promise(function(resolve) {
+				HBS.loadScript('section.js').always(resolve);
+			}).then(function() {
+				assert.strictEqual(created, 0);
+				assert.strictEqual(HBS.getModule(window.document.querySelector('[data-module]')), null);
+			});
+		});
+	});
+
+	describe('define', function() {
+		it('runs the factory once its dependencies exist', function() {
+			HBS.define('HAN.main', ['HAN.util'], function(util) {
+				return {util: util};
+			});
+			assert.strictEqual(window.HAN, undefined);
+
+			HBS.namespace('HAN.util', {});
+			assert.strictEqual(window.HAN.main.util, window.HAN.util);
+		});
+
+		it('throws on a circular dependency', function() {
+			HBS.define('HAN.a', ['HAN.b'], function() {
+				return {};
+			});
+			assert.throws(function() {
+				HBS.define('HAN.b', ['HAN.a'], function() {
+					return {};
+				});
+			}, /circular dependency HAN\.b -> HAN\.a -> HAN\.b/);
+		});
+
+		it('keeps modules missing a dependency waiting for scripts loaded later', function() {
+			HBS.define('HAN.main', ['Fixture.global'], function(global) {
+				return {global: global};
+			});
+
+			HBS.verifyDefinitions();
+			assert.strictEqual(HBS.status()['HAN.main'].state, 'registered');
+
+			return new Promise(function(resolve) {
+				HBS.loadScript('global.js').always(resolve);
+			}).then(function() {
+				assert.strictEqual(HBS.status()['HAN.main'].state, 'initialised');
+				assert.strictEqual(window.HAN.main.global, window.Fixture.global);
+			});
+		});
+	});
+
+	describe('events', function() {
+		it('delivers namespaced, wildcard and replayed events', function() {
+			var heard = [];
+
+			HBS.events.trigger('challenge:updated', 1);
+			HBS.events.on('challenge:updated', function(value) {
+				heard.push('replay ' + value);
+			}, null, {replay: true});
+			HBS.events.on('challenge:*', function(name, value) {
+				heard.push(name + ' ' + value);
+			});
+			HBS.events.trigger('challenge:updated', 2);
+
+			assert.deepStrictEqual(heard, ['replay 1', 'replay 2', 'challenge:updated 2']);
+		});
+	});
+
+	describe('router', function() {
+		it('matches named params and query strings', function() {
+			HBS.router.route('/teams/:id', 'HAN.teams');
+
+			var match = HBS.router.match('/teams/7?tab=roster&tag=a&tag=b');
+
+			assert.deepStrictEqual(plain(match.params), {id: '7'});
+			assert.deepStrictEqual(plain(match.query), {tab: 'roster', tag: ['a', 'b']});
+		});
+
+		describe('once started', function() {
+			var calls;
+
+			beforeEach(function() {
+				calls = [];
+				window.location.hash = '';
+				HBS.router
+					.route('/teams/:id', 'HAN.teams')
+					.route('/challenge/:month', 'HAN.challenge', 'month');
+				HBS.namespace('HAN.challenge', {
+					init: function(params) {
+						calls.push('challenge init ' + params.month);
+					},
+					month: function(params, query) {
+						calls.push('challenge month ' + query.tab);
+					},
+					destroy: function() {
+						calls.push('challenge destroy');
+					}
+				});
+				HBS.router.start();
+			});
+
+			afterEach(function() {
+				HBS.router.stop();
+			});
+
+			it('tears down the previous route before running the next one', function() {
+				HBS.namespace('HAN.teams', {
+					init: function(params) {
+						calls.push('teams init ' + params.id);
+					}
+				});
+
+				assert.strictEqual(HBS.router.navigate('/challenge/october?tab=charts'), true);
+				assert.strictEqual(HBS.router.navigate('/teams/7'), true);
+				assert.deepStrictEqual(calls, [
+					'challenge init october', 'challenge month charts', 'challenge destroy', 'teams init 7'
+				]);
+			});
+
+			it('runs a route again once its controller is registered', function() {
+				assert.strictEqual(HBS.router.navigate('/teams/7'), false);
+
+				HBS.namespace('HAN.teams', {
+					init: function(params) {
+						calls.push('teams init ' + params.id);
+					}
+				});
+				assert.strictEqual(HBS.router.check(), true);
+				assert.deepStrictEqual(calls, ['teams init 7']);
+			});
+
+			it('leaves modified and middle clicks on route links to the browser', function() {
+				var $link = harness.fixture('<a href="#/teams/7" data-route>Team 7</a>');
+				var clicks = [
+					window.jQuery.Event('click', {which: 1, ctrlKey: true}),
+					window.jQuery.Event('click', {which: 1, metaKey: true}),
+					window.jQuery.Event('click', {which: 2})
+				];
+
+				clicks.forEach(function(click) {
+					$link.trigger(click);
+					assert.strictEqual(click.isDefaultPrevented(), false);
+				});
+				assert.strictEqual(HBS.router.getFragment().indexOf('/teams'), -1);
+
+				HBS.namespace('HAN.teams', {
+					init: function(params) {
+						calls.push('teams init ' + params.id);
+					}
+				});
+				$link.trigger(window.jQuery.Event('click', {which: 1}));
+				assert.deepStrictEqual(calls, ['teams init 7']);
+			});
+		});
+	});
+
+	describe('config', function() {
+		it('merges the page config block, body attributes and runtime settings', function() {
+			HBS = harness.reset([], {
+				head: '<script type="application/json" id="hbs-config">{"scriptTimeout": 500, "debugMode": true}</script>',
+				page: {hbsDebugMode: 'false'}
+			}).HBS;
+
+			assert.strictEqual(HBS.config().scriptTimeout, 500);
+			assert.strictEqual(HBS.config().debugMode, false);
+			HBS.configure({scriptTimeout: 100});
+			assert.strictEqual(HBS.config().scriptTimeout, 100);
+		});
+
+		it('ignores settings that break the schema', function() {
+			HBS.configure({scriptTimeout: 'soon'});
+			assert.strictEqual(HBS.config().scriptTimeout, HBS.defaults.scriptTimeout);
+		});
+	});
+
+	describe('log', function() {
+		var logger;
+		var sink;
+
+		/**
+		 * @returns {Array} The messages the test sink has kept
+		 */
+		function messages() {
+			return plain(sink.records().map(function(record) {
+				return record.message;
+			}));
+		}
+
+		beforeEach(function() {
+			logger = HBS.logger('HAN.main');
+			sink = HBS.log.addSink(HBS.log.bufferSink(3));
+		});
+
+		it('filters records by the logger, default and sink levels', function() {
+			var infoSink = HBS.log.addSink(HBS.log.bufferSink(10, 'info'));
+
+			HBS.configure({debugMode: false});
+			logger.info('below the default level');
+			logger.warn('at the default level');
+
+			logger.level = 'debug';
+			HBS.log.setLevel('error');
+			logger.debug('below the sink level');
+			logger.info('at the sink level');
+
+			assert.strictEqual(HBS.logger('HAN.main'), logger);
+			assert.deepStrictEqual(messages(), ['at the default level', 'below the sink level', 'at the sink level']);
+			assert.strictEqual(infoSink.records().length, 2);
+			assert.strictEqual(HBS.log.format(infoSink.records()[0]), '[HAN.main] WARN: at the default level');
+		});
+
+		it('keeps the most recent records in a buffer sink', function() {
+			HBS.configure({debugMode: true});
+			['one', 'two', 'three', 'four'].forEach(function(message) {
+				logger.info(message);
+			});
+
+			assert.deepStrictEqual(messages(), ['two', 'three', 'four']);
+			assert.ok(/Z \[HAN\.main\] INFO: four$/.test(HBS.log.dump()));
+
+			sink.clear();
+			assert.strictEqual(sink.records().length, 0);
+		});
+
+		it('sends errors to a beacon sink', function() {
+			var ajax = window.jQuery.ajax;
+			var beacons = [];
+			var posts = [];
+
+			window.navigator.sendBeacon = function(url, body) {
+				beacons.push({url: url, body: JSON.parse(body)});
+			};
+			HBS.log.addSink(HBS.log.beaconSink('/log'));
+
+			try {
+				logger.warn('below the beacon level');
+				logger.error('Unable to load', new window.Error('timed out'));
+			} finally {
+				delete window.navigator.sendBeacon;
+			}
+
+			window.jQuery.ajax = function(options) {
+				posts.push(options.url);
+			};
+			try {
+				logger.error('No beacon');
+			} finally {
+				window.jQuery.ajax = ajax;
+			}
+
+			assert.strictEqual(beacons.length, 1);
+			assert.strictEqual(beacons[0].url, '/log');
+			assert.strictEqual(beacons[0].body.namespace, 'HAN.main');
+			assert.strictEqual(beacons[0].body.message, 'Unable to load');
+			assert.strictEqual(beacons[0].body.args[0].message, 'timed out');
+			assert.deepStrictEqual(posts, ['/log']);
+		});
+
+		it('works out the default level once until the settings change', function() {
+			var config = HBS.config;
+			var reads = 0;
+
+			HBS.configure({debugMode: false});
+			HBS.config = function() {
+				reads++;
+				return config.apply(this, arguments);
+			};
+			logger.debug('suppressed');
+			logger.debug('suppressed');
+			assert.strictEqual(reads, 1);
+
+			HBS.configure({debugMode: true});
+			logger.debug('written');
+			assert.deepStrictEqual(messages(), ['written']);
+		});
+	});
+});
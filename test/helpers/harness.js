@@ -0,0 +1,201 @@
+/**
+ * Test harness for HBS-based modules. Runs page scripts inside a jsdom window so specs can be run by
+ * Node on a CI box without a browser.
+ *
+ * @example
+ * var harness = require('./helpers/harness');
+ *
+ * describe('HAN.main', function() {
+ *     var window;
+ *
+ *     beforeEach(function() {
+ *         window = harness.reset(['src/js/HAN/main.js']);
+ *     });
+ *
+ *     it('runs the page', function() {
+ *         harness.page({section: 'HAN.main', page: 'home'});
+ *         window.HBS.initPage();
+ *     });
+ * });
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var jsdom = require('jsdom');
+
+var ROOT = path.resolve(__dirname, '../..');
+
+/**
+ * Scripts every page has, loaded once when the window is created.
+ */
+var LIBRARIES = ['src/js/lib/jquery-1.10.2.min.js'];
+
+/**
+ * Scripts reloaded by every reset(), so each spec gets fresh copies of their private state.
+ */
+var CORE = ['src/js/lib/hbs.js'];
+
+var dom = null;
+var baseline = null;
+
+/**
+ * @param {String} file A path relative to the repository root
+ * @returns {String} The file's URL, for resolving relative script paths the way a browser would
+ */
+function fileUrl(file) {
+	return 'file://' + path.join(ROOT, file);
+}
+
+/**
+ * Runs a file in the window, with its real path in stack traces.
+ * @param {String} file A path relative to the repository root
+ */
+function runFile(file) {
+	vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), dom.getInternalVMContext(), {
+		filename: path.join(ROOT, file)
+	});
+}
+
+/**
+ * Creates the shared window and records which globals the libraries define, so reset() can tell
+ * them apart from globals added by specs and the code under test.
+ */
+function createWindow() {
+	dom = new jsdom.JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+		url: fileUrl('test/fixtures/index.html'),
+		runScripts: 'dangerously',
+		resources: 'usable',
+		pretendToBeVisual: true,
+		virtualConsole: new jsdom.VirtualConsole()
+	});
+
+	LIBRARIES.forEach(runFile);
+	baseline = Object.getOwnPropertyNames(dom.window);
+}
+
+/**
+ * Puts the window back the way createWindow() left it: globals added since are deleted (clearing the
+ * whole namespace tree), event handlers and data bound through jQuery are removed, the head and body
+ * are emptied and the html element's classes are cleared.
+ * Then the core scripts and any extra scripts are run again.
+ * @param {Array} [files] More scripts to load after the core scripts, relative to the repository root
+ * @param {Object} [options] Markup for the scripts to find when they first run, such as an hbs-config block
+ * @param {String} [options.head] HTML for the head
+ * @param {String} [options.body] HTML for the body
+ * @param {Object} [options.page] Body attributes, as passed to page()
+ * @returns {Window} The window
+ */
+exports.reset = function(files, options) {
+	var window;
+
+	if (dom === null) {
+		createWindow();
+	}
+
+	window = dom.window;
+	Object.getOwnPropertyNames(window).forEach(function(name) {
+		if (baseline.indexOf(name) === -1) {
+			// Top-level var and function declarations can't be deleted
+			try {
+				delete window[name];
+			} catch (e) {
+				// Reported as an error in strict mode
+			}
+			if (name in window) {
+				window[name] = undefined;
+			}
+		}
+	});
+
+	window.jQuery(window).off();
+	window.jQuery(window.document).off();
+	window.jQuery.cleanData([window.document.body]);
+	Array.prototype.slice.call(window.document.body.attributes).forEach(function(attribute) {
+		window.document.body.removeAttribute(attribute.name);
+	});
+
+	options = options || {};
+	window.document.documentElement.className = '';
+	window.document.head.innerHTML = options.head || '';
+	window.document.body.innerHTML = options.body || '';
+	exports.page(options.page || {});
+
+	CORE.concat(files || []).forEach(runFile);
+	return window;
+};
+
+/**
+ * Runs more scripts in the window.
+ * @param {String|Array} files Paths relative to the repository root
+ */
+exports.load = function(files) {
+	[].concat(files).forEach(runFile);
+};
+
+/**
+ * @returns {Window} The window created by the first reset()
+ */
+exports.window = function() {
+	return dom.window;
+};
+
+/**
+ * Sets the body attributes HBS.initPage() reads.
+ * @param {Object} attributes
+ * @param {String} [attributes.section] data-section
+ * @param {String} [attributes.page] data-page
+ * @param {String} [attributes.asyncScript] data-async-script, relative to test/fixtures/
+ * @param {Boolean} [attributes.autoload] Adds data-autoload
+ * Any other keys are added as data-* attributes, e.g. {hbsDebugMode: 'false'} sets data-hbs-debug-mode.
+ * true adds an empty attribute and false or null removes it.
+ */
+exports.page = function(attributes) {
+	var body = dom.window.document.body;
+
+	Object.keys(attributes).forEach(function(key) {
+		var name = 'data-' + key.replace(/[A-Z]/g, function(letter) {
+			return '-' + letter.toLowerCase();
+		});
+
+		if (attributes[key] === false || attributes[key] === null) {
+			body.removeAttribute(name);
+		} else {
+			body.setAttribute(name, attributes[key] === true ? '' : String(attributes[key]));
+		}
+	});
+};
+
+/**
+ * Replaces the body's content.
+ * @param {String} html
+ * @returns {jQuery} The body's new children
+ */
+exports.fixture = function(html) {
+	var $ = dom.window.jQuery;
+
+	$(dom.window.document.body).html(html);
+	return $(dom.window.document.body).children();
+};
+
+/**
+ * @param {Function} test Returns true once the condition is met
+ * @param {Number} [timeout=2000] Milliseconds to wait
+ * @returns {Promise} Resolved once test() returns true, or rejected after the timeout
+ */
+exports.waitFor = function(test, timeout) {
+	var deadline = Date.now() + (timeout || 2000);
+
+	return new Promise(function(resolve, reject) {
+		(function check() {
+			if (test()) {
+				resolve();
+			} else if (Date.now() > deadline) {
+				reject(new Error('Timed out waiting for condition'));
+			} else {
+				setTimeout(check, 10);
+			}
+		}());
+	});
+};
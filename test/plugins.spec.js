@@ -0,0 +1,53 @@
+'use strict';
+
+var assert = require('assert');
+var harness = require('./helpers/harness');
+
+describe('plugins', function() {
+	var window;
+	var HBS;
+	var $;
+
+	beforeEach(function() {
+		window = harness.reset(['src/js/lib/plugins.js']);
+		HBS = window.HBS;
+		$ = window.jQuery;
+	});
+
+	it('registers the bundled jQuery plugins with HBS', function() {
+		assert.strictEqual(HBS.status()['plugin:equalHeights'].state, 'registered');
+		assert.strictEqual(HBS.status()['plugin:smoothScroll'].state, 'registered');
+		assert.strictEqual(typeof($.throttle), 'function');
+		assert.strictEqual(typeof($.debounce), 'function');
+	});
+
+	describe('equalHeights', function() {
+		it('gives the children the tallest height and resets the heights on destroyModules()', function() {
+			harness.fixture('<ul id="teams" data-equal="li">' +
+				'<li style="height: 30px"></li><li style="height: 50px"></li></ul>');
+
+			HBS.initModules();
+			assert.strictEqual(HBS.status()['plugin:equalHeights'].state, 'initialised');
+			assert.strictEqual($('#teams li').map(function() {
+				return this.style.height;
+			}).get().join(), '50px,50px');
+
+			HBS.destroyModules();
+			assert.strictEqual($('#teams li').map(function() {
+				return this.style.height;
+			}).get().join(), ',');
+		});
+	});
+
+	describe('smoothScroll', function() {
+		it('binds and unbinds its click handler', function() {
+			harness.fixture('<a href="#teams" data-smooth-scroll data-offset="-20">Teams</a><div id="teams"></div>');
+
+			HBS.initModules();
+			assert.strictEqual(($._data($('a')[0], 'events') || {}).click.length, 1);
+
+			HBS.destroyModules();
+			assert.strictEqual(($._data($('a')[0], 'events') || {}).click, undefined);
+		});
+	});
+});